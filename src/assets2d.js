@@ -0,0 +1,272 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { log } from "./logger.js";
+import { removeSolidBackground, sliceTileset } from "./imageProcessing.js";
+import { pixelize } from "./pixelArt.js";
+
+// Prompt enhancements per 2D generation mode. Objects are isolated on white so the
+// background can be removed; tiles must fill the frame and repeat without borders.
+const PROMPT_TEMPLATES = {
+  object: (prompt) => `${prompt}, high detailed, complete object, not cut off, white solid background`,
+  tile: (prompt) => `${prompt}, seamless tileable texture, top-down view, flat even lighting, pattern fills the entire image, edge to edge, no border, no frame, no objects cut off`
+};
+
+export const GENERATION_MODES = Object.keys(PROMPT_TEMPLATES);
+
+/**
+ * Enhance a prompt for the given generation mode
+ * @param {string} prompt - The user prompt
+ * @param {string} mode - One of GENERATION_MODES (default: "object")
+ * @returns {string} The enhanced prompt
+ */
+export function build2dPrompt(prompt, mode = "object") {
+  return PROMPT_TEMPLATES[mode](prompt);
+}
+
+/**
+ * Resolve the settings of a 2D generation from per-call overrides and the configured defaults
+ * @param {Object} overrides - Per-call values (model, provider, width, height, steps, guidance_scale, seed, negative_prompt,
+ *   transparent_background, background_tolerance, edge_feather)
+ * @param {Object} config - The server config holding the MODEL_2D_* defaults
+ * @returns {Object} The settings used for the generation
+ */
+export function resolve2dSettings(overrides, config) {
+  return {
+    model: overrides.model ?? config.model2dId,
+    provider: overrides.provider ?? config.model2dProvider,
+    width: overrides.width ?? config.model2dWidth,
+    height: overrides.height ?? config.model2dHeight,
+    steps: overrides.steps ?? config.model2dSteps,
+    guidanceScale: overrides.guidance_scale ?? config.model2dGuidanceScale,
+    // Always pick a seed so the recorded settings reproduce the image
+    seed: overrides.seed ?? config.model2dSeed ?? crypto.randomInt(0, 10000001),
+    negativePrompt: overrides.negative_prompt ?? config.model2dNegativePrompt,
+    transparentBackground: overrides.transparent_background ?? config.model2dTransparentBackground,
+    backgroundTolerance: overrides.background_tolerance ?? config.model2dBackgroundTolerance,
+    edgeFeather: overrides.edge_feather ?? config.model2dEdgeFeather
+  };
+}
+
+/**
+ * Generate an image with the configured image provider (see imageProviders.js)
+ * @param {Object} imageProvider - The text-to-image provider
+ * @param {string} prompt - The (enhanced) prompt
+ * @param {Object} settings - Settings from resolve2dSettings
+ * @param {Object} options - Request options such as { signal }
+ * @returns {Promise<Blob>} The generated image
+ */
+export async function generate2dImage(imageProvider, prompt, settings, options = {}) {
+  const { model, provider, width, height, steps, guidanceScale, seed, negativePrompt } = settings;
+  return await imageProvider.textToImage({ prompt, model, provider, width, height, steps, guidanceScale, seed, negativePrompt }, options);
+}
+
+/**
+ * Resolve the settings of an image-to-image refinement. Uses the MODEL_2D_REFINE_* model
+ * and strength with the other 2D generation defaults.
+ * @param {Object} overrides - Per-call values as for resolve2dSettings, plus strength
+ * @param {Object} config - The server config
+ * @returns {Object} The settings used for the refinement
+ */
+export function resolveRefineSettings(overrides, config) {
+  const { width, height, ...settings } = resolve2dSettings({
+    ...overrides,
+    model: overrides.model ?? config.model2dRefineId,
+    provider: overrides.provider ?? config.model2dRefineProvider
+  }, config);
+  return { ...settings, strength: overrides.strength ?? config.model2dRefineStrength };
+}
+
+/**
+ * Refine an image with the Hugging Face Inference API (image-to-image)
+ * @param {Object} inferenceClient - The Hugging Face InferenceClient
+ * @param {Buffer} imageBuffer - The source image (PNG or JPEG)
+ * @param {string} prompt - The (enhanced) prompt
+ * @param {Object} settings - Settings from resolveRefineSettings
+ * @param {Object} options - Request options such as { signal }
+ * @returns {Promise<Blob>} The refined image
+ */
+export async function refine2dImage(inferenceClient, imageBuffer, prompt, settings, options = {}) {
+  const parameters = {
+    prompt,
+    strength: settings.strength,
+    num_inference_steps: settings.steps,
+    seed: settings.seed
+  };
+  if (settings.guidanceScale !== null && settings.guidanceScale !== undefined) parameters.guidance_scale = settings.guidanceScale;
+  if (settings.negativePrompt) parameters.negative_prompt = settings.negativePrompt;
+
+  return await inferenceClient.imageToImage({
+    model: settings.model,
+    inputs: new Blob([imageBuffer], { type: "image/png" }),
+    parameters,
+    provider: settings.provider,
+  }, options);
+}
+
+/**
+ * Resolve the settings of an inpainting edit. Uses the MODEL_2D_INPAINT_* model
+ * with the other 2D generation defaults; strength is only sent when given.
+ * @param {Object} overrides - Per-call values as for resolve2dSettings, plus strength
+ * @param {Object} config - The server config
+ * @returns {Object} The settings used for the edit
+ */
+export function resolveInpaintSettings(overrides, config) {
+  const { width, height, ...settings } = resolve2dSettings({
+    ...overrides,
+    model: overrides.model ?? config.model2dInpaintId,
+    provider: overrides.provider ?? config.model2dInpaintProvider
+  }, config);
+  return { ...settings, strength: overrides.strength ?? null };
+}
+
+/**
+ * Repaint the masked area of an image with the Hugging Face Inference API.
+ * The mask is sent as the mask_image parameter of an image-to-image request,
+ * so the model must be inpainting-capable.
+ * @param {Object} inferenceClient - The Hugging Face InferenceClient
+ * @param {Buffer} imageBuffer - The source image (PNG)
+ * @param {Buffer} maskBuffer - Binary PNG mask, white where the image should change
+ * @param {string} prompt - Description of the new content of the masked area
+ * @param {Object} settings - Settings from resolveInpaintSettings
+ * @param {Object} options - Request options such as { signal }
+ * @returns {Promise<Blob>} The edited image
+ */
+export async function inpaint2dImage(inferenceClient, imageBuffer, maskBuffer, prompt, settings, options = {}) {
+  const parameters = {
+    prompt,
+    mask_image: maskBuffer.toString("base64"),
+    num_inference_steps: settings.steps,
+    seed: settings.seed
+  };
+  if (settings.strength !== null && settings.strength !== undefined) parameters.strength = settings.strength;
+  if (settings.guidanceScale !== null && settings.guidanceScale !== undefined) parameters.guidance_scale = settings.guidanceScale;
+  if (settings.negativePrompt) parameters.negative_prompt = settings.negativePrompt;
+
+  return await inferenceClient.imageToImage({
+    model: settings.model,
+    inputs: new Blob([imageBuffer], { type: "image/png" }),
+    parameters,
+    provider: settings.provider,
+  }, options);
+}
+
+/**
+ * Save an image derived from an existing asset next to it, as <asset name>_<suffix>.png
+ * @param {string} sourcePath - Path of the source asset
+ * @param {string} suffix - Suffix describing the derived image (e.g., "transparent")
+ * @param {Buffer} buffer - PNG image data
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<Object>} { filePath, resourceUri } of the derived asset
+ */
+export async function saveDerivedAsset(sourcePath, suffix, buffer, workDir) {
+  const derivedPath = `${sourcePath.slice(0, -path.extname(sourcePath).length)}_${suffix}.png`;
+  await fs.writeFile(derivedPath, buffer);
+  await log('DEBUG', `Derived asset saved at: ${derivedPath}`, workDir);
+  return {
+    filePath: derivedPath,
+    resourceUri: `asset://${path.basename(derivedPath)}`
+  };
+}
+
+/**
+ * Replace the white background of a saved 2D asset with transparency.
+ * The original is kept; the result is saved as <asset name>_transparent.png.
+ * @param {string} sourcePath - Path of the saved asset
+ * @param {Object} settings - Settings from resolve2dSettings
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<Object>} { filePath, resourceUri, removedRatio }
+ */
+export async function makeBackgroundTransparent(sourcePath, settings, workDir) {
+  const { buffer, removedRatio } = await removeSolidBackground(await fs.readFile(sourcePath), {
+    tolerance: settings.backgroundTolerance,
+    feather: settings.edgeFeather
+  });
+  await log('DEBUG', `Removed background from ${path.basename(sourcePath)} (${Math.round(removedRatio * 100)}% of pixels)`, workDir);
+  if (removedRatio === 0) {
+    await log('WARN', `No white background found around ${path.basename(sourcePath)}; the transparent copy is fully opaque`, workDir);
+  }
+  return { ...(await saveDerivedAsset(sourcePath, "transparent", buffer, workDir)), removedRatio };
+}
+
+/**
+ * Cut an image into a tileset grid and save it next to its source asset, with an index file
+ * @param {string} sourcePath - Path of the source asset
+ * @param {Buffer} buffer - The image to slice (e.g., the seamless version of the asset)
+ * @param {Object} options - { tileSize, columns } as accepted by sliceTileset
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<Object>} { tileset, index, columns, rows, tileCount } with tileset/index as { filePath, resourceUri }
+ */
+export async function saveTileset(sourcePath, buffer, { tileSize, columns = null }, workDir) {
+  const sliced = await sliceTileset(buffer, { tileSize, columns });
+  const tileset = await saveDerivedAsset(sourcePath, "tileset", sliced.buffer, workDir);
+  const index = await saveAssetMetadata(tileset.filePath, {
+    image: path.basename(tileset.filePath),
+    source: path.basename(sourcePath),
+    imageWidth: sliced.width,
+    imageHeight: sliced.height,
+    tileWidth: tileSize,
+    tileHeight: tileSize,
+    columns: sliced.columns,
+    rows: sliced.rows,
+    tileCount: sliced.tiles.length,
+    tiles: sliced.tiles
+  }, workDir);
+  await log('INFO', `Tileset of ${sliced.columns}x${sliced.rows} ${tileSize}px tiles saved at: ${tileset.filePath}`, workDir);
+  return { tileset, index, columns: sliced.columns, rows: sliced.rows, tileCount: sliced.tiles.length };
+}
+
+/**
+ * Turn an image into pixel art and save it, with an upscaled preview, next to its source asset
+ * as <asset name>_pixel<size>.png and <asset name>_pixel<size>_preview.png
+ * @param {string} sourcePath - Path of the source asset
+ * @param {Buffer} buffer - The image to pixelize (e.g., the transparent version of the asset)
+ * @param {Object} options - Options accepted by pixelize
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<Object>} { pixelArt, preview, width, height } with pixelArt/preview as { filePath, resourceUri }
+ */
+export async function savePixelArt(sourcePath, buffer, options, workDir) {
+  const result = await pixelize(buffer, options);
+  const suffix = `pixel${options.gridSize}`;
+  const pixelArt = await saveDerivedAsset(sourcePath, suffix, result.buffer, workDir);
+  const preview = await saveDerivedAsset(sourcePath, `${suffix}_preview`, result.preview, workDir);
+  await log('INFO', `Pixel art (${result.width}x${result.height}) saved at: ${pixelArt.filePath}`, workDir);
+  return { pixelArt, preview, width: result.width, height: result.height };
+}
+
+/**
+ * Link derived assets to their source by listing them in the source's metadata file
+ * @param {string} sourcePath - Path of the source asset
+ * @param {Object[]} children - Entries describing each child (e.g., { asset, seed, tool })
+ * @param {string} workDir - The working directory for log files
+ */
+export async function linkChildAssets(sourcePath, children, workDir) {
+  const metadataPath = sourcePath.slice(0, -path.extname(sourcePath).length) + ".json";
+  let metadata = { asset: path.basename(sourcePath) };
+  try {
+    metadata = JSON.parse(await fs.readFile(metadataPath, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      await log('WARN', `Could not read ${metadataPath}, recreating it: ${error.message}`, workDir);
+    }
+  }
+  metadata.children = [...(metadata.children || []), ...children];
+  await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+}
+
+/**
+ * Save generation metadata next to an asset, as <asset name>.json
+ * @param {string} filePath - Path of the saved asset
+ * @param {Object} metadata - Metadata to record
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<Object>} { filePath, resourceUri } of the metadata file
+ */
+export async function saveAssetMetadata(filePath, metadata, workDir) {
+  const metadataPath = filePath.slice(0, -path.extname(filePath).length) + ".json";
+  await fs.writeFile(metadataPath, JSON.stringify({ ...metadata, asset: path.basename(filePath) }, null, 2));
+  await log('DEBUG', `Asset metadata saved at: ${metadataPath}`, workDir);
+  return {
+    filePath: metadataPath,
+    resourceUri: `asset://${path.basename(metadataPath)}`
+  };
+}
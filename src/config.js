@@ -1,8 +1,12 @@
 import dotenv from "dotenv";
 import path from "path";
 import { promises as fs } from "fs";
-import { validateNumericRange, validateEnum } from "./validation.js";
-import { SPACE_TYPE } from "./spaceTypes.js";
+import { validateNumericRange, validateEnum, validateMultipleOf } from "./validation.js";
+import { INFERENCE_PROVIDERS } from "@huggingface/inference";
+import { UPSCALE_METHODS } from "./upscale.js";
+import { IMAGE_PROVIDERS } from "./imageProviders.js";
+import { DEFAULT_MOCK_FAILURE_MESSAGE } from "./mock.js";
+import { ROUTING_STRATEGIES } from "./spacePool.js";
 
 export async function loadConfig() {
   // Allow working directory to be specified via command-line argument
@@ -94,9 +98,29 @@ export async function loadConfig() {
   // Get environment variables
   const hfToken = process.env.HF_TOKEN;
   
-  // Get MODEL_SPACE from environment variable with fallback
+  // Additional model Spaces that 3D jobs are spread over, e.g. "user-a/InstantMesh,user-b/TRELLIS=trellis"
+  // (an optional "=type" sets the Space's type instead of detecting it)
+  const extraModelSpaces = [];
+  for (const entry of (process.env.MODEL_SPACES || "").split(",")) {
+    const [name, spaceType] = entry.split("=").map(part => part && part.trim());
+    if (!name) continue;
+    extraModelSpaces.push({ name, spaceType: spaceType ? spaceType.toLowerCase() : null });
+  }
+  
+  // Get MODEL_SPACE from environment variable with fallback (the first of MODEL_SPACES if only those are set)
   const modelSpaceFromEnv = process.env.MODEL_SPACE;
-  const modelSpace = modelSpaceFromEnv || "mubarak-alketbi/InstantMesh";
+  const modelSpace = modelSpaceFromEnv || extraModelSpaces[0]?.name || "mubarak-alketbi/InstantMesh";
+  
+  // All model Spaces, MODEL_SPACE first; a Space listed twice is used once
+  const modelSpaces = [];
+  for (const space of [{ name: modelSpace, spaceType: null }, ...extraModelSpaces]) {
+    const existing = modelSpaces.find(({ name }) => name === space.name);
+    if (existing) {
+      existing.spaceType = existing.spaceType || space.spaceType;
+    } else {
+      modelSpaces.push(space);
+    }
+  }
   
   // Debug log for modelSpace
   console.error("========== MODEL SPACE DEBUGGING ==========");
@@ -135,17 +159,158 @@ export async function loadConfig() {
     "MODEL_3D_TURBO_MODE"
   );
   
+  // 2D asset generation defaults (each can be overridden per call)
+  const model2dId = process.env.MODEL_2D_ID || "gokaygokay/Flux-2D-Game-Assets-LoRA";
+  const model2dProvider = validateEnum(
+    process.env.MODEL_2D_PROVIDER,
+    INFERENCE_PROVIDERS,
+    "hf-inference",
+    "MODEL_2D_PROVIDER"
+  );
+  
+  // Image size (64-2048 pixels, a multiple of 8 like the per-call width and height); the model's
+  // default size is used if not specified
+  const model2dWidth = process.env.MODEL_2D_WIDTH ?
+    validateMultipleOf(validateNumericRange(parseInt(process.env.MODEL_2D_WIDTH), 64, 2048, null, "MODEL_2D_WIDTH"), 8, "MODEL_2D_WIDTH") : null;
+  const model2dHeight = process.env.MODEL_2D_HEIGHT ?
+    validateMultipleOf(validateNumericRange(parseInt(process.env.MODEL_2D_HEIGHT), 64, 2048, null, "MODEL_2D_HEIGHT"), 8, "MODEL_2D_HEIGHT") : null;
+  
+  // Inference steps (1-100, default: 50) and guidance scale (0.0-100.0)
+  const model2dSteps = process.env.MODEL_2D_STEPS ?
+    validateNumericRange(parseInt(process.env.MODEL_2D_STEPS), 1, 100, 50, "MODEL_2D_STEPS") : 50;
+  const model2dGuidanceScale = process.env.MODEL_2D_GUIDANCE_SCALE ?
+    validateNumericRange(parseFloat(process.env.MODEL_2D_GUIDANCE_SCALE), 0.0, 100.0, null, "MODEL_2D_GUIDANCE_SCALE") : null;
+  
+  // Seed (0-10000000); a random seed is chosen and recorded for each asset if not specified
+  const model2dSeed = process.env.MODEL_2D_SEED ?
+    validateNumericRange(parseInt(process.env.MODEL_2D_SEED), 0, 10000000, null, "MODEL_2D_SEED") : null;
+  
+  const model2dNegativePrompt = process.env.MODEL_2D_NEGATIVE_PROMPT || null;
+  
+  // Background removal for 2D assets (boolean, default: false so the tool returns the image as before)
+  const model2dTransparentBackground = process.env.MODEL_2D_TRANSPARENT_BACKGROUND ?
+    process.env.MODEL_2D_TRANSPARENT_BACKGROUND.toLowerCase() === 'true' : false;
+  
+  // How far a pixel may be from pure white and still count as background (0-255, default: 32)
+  const model2dBackgroundTolerance = process.env.MODEL_2D_BACKGROUND_TOLERANCE ?
+    validateNumericRange(parseInt(process.env.MODEL_2D_BACKGROUND_TOLERANCE), 0, 255, 32, "MODEL_2D_BACKGROUND_TOLERANCE") : 32;
+  
+  // Width of the soft edge left around the object, in pixels (0-10, default: 1)
+  const model2dEdgeFeather = process.env.MODEL_2D_EDGE_FEATHER ?
+    validateNumericRange(parseInt(process.env.MODEL_2D_EDGE_FEATHER), 0, 10, 1, "MODEL_2D_EDGE_FEATHER") : 1;
+  
+  // Image-to-image model used by refine_2d_asset, and how much it may change the source (0.0-1.0, default: 0.5)
+  const model2dRefineId = process.env.MODEL_2D_REFINE_ID || "stabilityai/stable-diffusion-xl-refiner-1.0";
+  const model2dRefineProvider = validateEnum(
+    process.env.MODEL_2D_REFINE_PROVIDER,
+    INFERENCE_PROVIDERS,
+    "hf-inference",
+    "MODEL_2D_REFINE_PROVIDER"
+  );
+  const model2dRefineStrength = process.env.MODEL_2D_REFINE_STRENGTH ?
+    validateNumericRange(parseFloat(process.env.MODEL_2D_REFINE_STRENGTH), 0.0, 1.0, 0.5, "MODEL_2D_REFINE_STRENGTH") : 0.5;
+  
+  // Inpainting-capable model used by edit_2d_asset (must accept a mask_image parameter)
+  const model2dInpaintId = process.env.MODEL_2D_INPAINT_ID || "diffusers/stable-diffusion-xl-1.0-inpainting-0.1";
+  const model2dInpaintProvider = validateEnum(
+    process.env.MODEL_2D_INPAINT_PROVIDER,
+    INFERENCE_PROVIDERS,
+    "hf-inference",
+    "MODEL_2D_INPAINT_PROVIDER"
+  );
+  
+  // Upscaling step of generate_2d_asset: factor (1 = off, up to 8) and method
+  const model2dUpscale = process.env.MODEL_2D_UPSCALE ?
+    validateNumericRange(parseInt(process.env.MODEL_2D_UPSCALE), 1, 8, 1, "MODEL_2D_UPSCALE") : 1;
+  const model2dUpscaleMethod = validateEnum(
+    process.env.MODEL_2D_UPSCALE_METHOD,
+    UPSCALE_METHODS,
+    "lanczos",
+    "MODEL_2D_UPSCALE_METHOD"
+  );
+  
+  // Optional AI upscaler space (e.g., a duplicated Real-ESRGAN space) used by the "space" upscale method
+  const upscaleSpace = process.env.UPSCALE_SPACE || null;
+  const upscaleSpaceEndpoint = process.env.UPSCALE_SPACE_ENDPOINT || "/predict";
+  
+  // Default palette for pixel art (a built-in palette name or a palette file in the working directory)
+  const pixelArtPalette = process.env.PIXEL_ART_PALETTE || null;
+  
+  // Text-to-image provider of generate_2d_asset, generate_sprite_sheet and the first stage of 3D generation
+  const imageProvider = validateEnum(
+    process.env.IMAGE_PROVIDER?.toLowerCase(),
+    IMAGE_PROVIDERS,
+    "hf",
+    "IMAGE_PROVIDER"
+  );
+  // Local provider settings: server URL, checkpoint, ComfyUI workflow file, "user:password" and timeout (10-3600 seconds)
+  const imageProviderUrl = process.env.IMAGE_PROVIDER_URL || null;
+  const imageProviderModel = process.env.IMAGE_PROVIDER_MODEL || null;
+  const imageProviderWorkflow = process.env.IMAGE_PROVIDER_WORKFLOW || null;
+  const imageProviderAuth = process.env.IMAGE_PROVIDER_AUTH || null;
+  const imageProviderTimeout = process.env.IMAGE_PROVIDER_TIMEOUT ?
+    validateNumericRange(parseInt(process.env.IMAGE_PROVIDER_TIMEOUT), 10, 3600, 300, "IMAGE_PROVIDER_TIMEOUT") : 300;
+  
+  // Offline mock mode: canned images and meshes instead of Hugging Face (no HF_TOKEN or network needed)
+  const mockMode = process.env.MOCK_MODE?.toLowerCase() === 'true';
+  // Delay of every mock call (0-60000 ms, default: 500)
+  const mockLatency = process.env.MOCK_LATENCY ?
+    validateNumericRange(parseInt(process.env.MOCK_LATENCY), 0, 60000, 500, "MOCK_LATENCY") : 500;
+  // Injected failures: probability of a failing call (0.0-1.0) and failing calls to each endpoint before it succeeds (0-10)
+  const mockFailureRate = process.env.MOCK_FAILURE_RATE ?
+    validateNumericRange(parseFloat(process.env.MOCK_FAILURE_RATE), 0.0, 1.0, 0, "MOCK_FAILURE_RATE") : 0;
+  const mockFailFirst = process.env.MOCK_FAIL_FIRST ?
+    validateNumericRange(parseInt(process.env.MOCK_FAIL_FIRST), 0, 10, 0, "MOCK_FAIL_FIRST") : 0;
+  const mockFailureMessage = process.env.MOCK_FAILURE_MESSAGE || DEFAULT_MOCK_FAILURE_MESSAGE;
+  
   // Port for server
   const port = process.env.PORT || 3000;
   
-  // Validate model space type (enum: "instantmesh", "hunyuan3d", "hunyuan3d_mini_turbo")
-  const validSpaceTypes = Object.values(SPACE_TYPE);
-  const modelSpaceType = validateEnum(
-    process.env.MODEL_SPACE_TYPE,
-    validSpaceTypes,
-    null,
-    "MODEL_SPACE_TYPE"
+  // Scheduler limits for Space calls (1-16 concurrent jobs per Space, 0-1000 waiting jobs)
+  const spaceConcurrency = process.env.MODEL_SPACE_CONCURRENCY ?
+    validateNumericRange(parseInt(process.env.MODEL_SPACE_CONCURRENCY), 1, 16, 1, "MODEL_SPACE_CONCURRENCY") : 1;
+  const spaceQueueSize = process.env.MODEL_SPACE_QUEUE_SIZE ?
+    validateNumericRange(parseInt(process.env.MODEL_SPACE_QUEUE_SIZE), 0, 1000, 10, "MODEL_SPACE_QUEUE_SIZE") : 10;
+  
+  // Per-Space concurrency overrides, e.g. "user/InstantMesh=2,user/Hunyuan3D-2=1"
+  const spaceConcurrencyOverrides = {};
+  for (const pair of (process.env.MODEL_SPACE_CONCURRENCY_OVERRIDES || "").split(",")) {
+    const [space, value] = pair.split("=").map(part => part && part.trim());
+    if (!space || !value) continue;
+    spaceConcurrencyOverrides[space] = validateNumericRange(parseInt(value), 1, 16, spaceConcurrency, `MODEL_SPACE_CONCURRENCY_OVERRIDES[${space}]`);
+  }
+  
+  // Days finished jobs are kept in the job store (1-3650)
+  const jobRetentionDays = process.env.JOB_RETENTION_DAYS ?
+    validateNumericRange(parseInt(process.env.JOB_RETENTION_DAYS), 1, 3650, 30, "JOB_RETENTION_DAYS") : 30;
+  
+  // Routing of 3D jobs over the model Spaces: "least_busy" or "ordered" (first healthy Space)
+  const modelSpaceRouting = validateEnum(
+    process.env.MODEL_SPACE_ROUTING?.trim().toLowerCase() || undefined,
+    ROUTING_STRATEGIES,
+    "least_busy",
+    "MODEL_SPACE_ROUTING"
   );
+  
+  // Longest GPU quota wait before a job moves to another Space (0-3600 seconds), and how long a
+  // Space is skipped after other failures (0-86400 seconds)
+  const modelSpaceFailoverWait = process.env.MODEL_SPACE_FAILOVER_WAIT ?
+    validateNumericRange(parseInt(process.env.MODEL_SPACE_FAILOVER_WAIT), 0, 3600, 60, "MODEL_SPACE_FAILOVER_WAIT") : 60;
+  const modelSpaceFailureCooldown = process.env.MODEL_SPACE_FAILURE_COOLDOWN ?
+    validateNumericRange(parseInt(process.env.MODEL_SPACE_FAILURE_COOLDOWN), 0, 86400, 300, "MODEL_SPACE_FAILURE_COOLDOWN") : 300;
+  
+  // Admin tools to list, switch and re-detect model Spaces at runtime (off by default: switching
+  // connects the server's HF_TOKEN to any Space a client names)
+  const adminTools = process.env.ADMIN_TOOLS?.toLowerCase() === 'true';
+  
+  // Model space type: a backend ID such as "instantmesh", "hunyuan3d" or "hunyuan3d_mini_turbo".
+  // Checked against the backend registry once third-party backends are loaded.
+  const modelSpaceType = process.env.MODEL_SPACE_TYPE?.trim().toLowerCase() || null;
+
+  // Directory of third-party 3D backend modules (skipped if it does not exist)
+  const backendsDir = process.env.MODEL_3D_BACKENDS_DIR
+    ? path.resolve(workDir, process.env.MODEL_3D_BACKENDS_DIR)
+    : path.join(workDir, "backends");
 
   return {
     workDir,
@@ -153,6 +318,11 @@ export async function loadConfig() {
     hfToken,
     modelSpace,
     modelSpaceFromEnv,
+    modelSpaces,
+    modelSpaceRouting,
+    modelSpaceFailoverWait,
+    modelSpaceFailureCooldown,
+    adminTools,
     model3dSteps,
     model3dGuidanceScale,
     model3dOctreeResolution,
@@ -160,7 +330,44 @@ export async function loadConfig() {
     model3dRemoveBackground,
     model3dTurboMode,
     validTurboModes,
+    model2dId,
+    model2dProvider,
+    model2dWidth,
+    model2dHeight,
+    model2dSteps,
+    model2dGuidanceScale,
+    model2dSeed,
+    model2dNegativePrompt,
+    model2dTransparentBackground,
+    model2dBackgroundTolerance,
+    model2dEdgeFeather,
+    model2dRefineId,
+    model2dRefineProvider,
+    model2dRefineStrength,
+    model2dInpaintId,
+    model2dInpaintProvider,
+    model2dUpscale,
+    model2dUpscaleMethod,
+    upscaleSpace,
+    upscaleSpaceEndpoint,
+    pixelArtPalette,
+    imageProvider,
+    imageProviderUrl,
+    imageProviderModel,
+    imageProviderWorkflow,
+    imageProviderAuth,
+    imageProviderTimeout,
+    mockMode,
+    mockLatency,
+    mockFailureRate,
+    mockFailFirst,
+    mockFailureMessage,
     port,
-    modelSpaceType
+    modelSpaceType,
+    backendsDir,
+    spaceConcurrency,
+    spaceConcurrencyOverrides,
+    spaceQueueSize,
+    jobRetentionDays
   };
 }
\ No newline at end of file
@@ -0,0 +1,351 @@
+import sharp from "sharp";
+
+// Local image post-processing for 2D assets, working on raw RGBA pixels decoded with sharp.
+
+/**
+ * Decode an image into raw RGBA pixels
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @returns {Promise<Object>} { data, width, height } with 4 bytes per pixel
+ */
+export async function decodeRgba(buffer) {
+  const { data, info } = await sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+/**
+ * Encode raw RGBA pixels as a PNG
+ * @param {Object} image - { data, width, height } as returned by decodeRgba
+ * @returns {Promise<Buffer>} PNG image data
+ */
+export async function encodePng({ data, width, height }) {
+  return await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// Separable box blur of a single-channel Float32Array, repeated to approximate a gaussian
+function blurMask(mask, width, height, radius) {
+  let source = mask;
+  for (let pass = 0; pass < 2; pass++) {
+    const horizontal = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let dx = -radius; dx <= radius; dx++) {
+          const nx = x + dx;
+          if (nx < 0 || nx >= width) continue;
+          sum += source[y * width + nx];
+          count++;
+        }
+        horizontal[y * width + x] = sum / count;
+      }
+    }
+    const vertical = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let sum = 0;
+        let count = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+          const ny = y + dy;
+          if (ny < 0 || ny >= height) continue;
+          sum += horizontal[ny * width + x];
+          count++;
+        }
+        vertical[y * width + x] = sum / count;
+      }
+    }
+    source = vertical;
+  }
+  return source;
+}
+
+/**
+ * Make the solid background of an image transparent.
+ * The background is flood-filled from the image border, so enclosed areas of the
+ * background color inside the object (e.g., highlights) are kept opaque.
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {Object} options
+ * @param {number} options.tolerance - Maximum per-channel difference from the background color (0-255, default: 32)
+ * @param {number} options.feather - Width in pixels of the soft edge between object and background (0-10, default: 1)
+ * @param {number[]} options.background - Background color as [r, g, b] (default: white)
+ * @returns {Promise<Object>} { buffer, removedRatio } - PNG with alpha and the fraction of pixels removed
+ */
+export async function removeSolidBackground(buffer, { tolerance = 32, feather = 1, background = [255, 255, 255] } = {}) {
+  const { data, width, height } = await decodeRgba(buffer);
+  const pixelCount = width * height;
+  const [bgR, bgG, bgB] = background;
+
+  const isBackgroundColor = (index) => {
+    const offset = index * 4;
+    return Math.max(
+      Math.abs(data[offset] - bgR),
+      Math.abs(data[offset + 1] - bgG),
+      Math.abs(data[offset + 2] - bgB)
+    ) <= tolerance;
+  };
+
+  // Flood fill (4-connected) from every border pixel that matches the background color
+  const isBackground = new Uint8Array(pixelCount);
+  const stack = [];
+  const visit = (index) => {
+    if (!isBackground[index] && isBackgroundColor(index)) {
+      isBackground[index] = 1;
+      stack.push(index);
+    }
+  };
+  for (let x = 0; x < width; x++) {
+    visit(x);
+    visit((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    visit(y * width);
+    visit(y * width + width - 1);
+  }
+  while (stack.length > 0) {
+    const index = stack.pop();
+    const x = index % width;
+    if (x > 0) visit(index - 1);
+    if (x < width - 1) visit(index + 1);
+    if (index >= width) visit(index - width);
+    if (index < pixelCount - width) visit(index + width);
+  }
+
+  // Build the alpha matte, softening it towards the background when feathering
+  const matte = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    matte[i] = isBackground[i] ? 0 : 1;
+  }
+  if (feather > 0) {
+    const blurred = blurMask(matte, width, height, feather);
+    for (let i = 0; i < pixelCount; i++) {
+      // Only fade the object inwards; removed pixels stay fully transparent
+      matte[i] = isBackground[i] ? 0 : blurred[i];
+    }
+  }
+
+  let removed = 0;
+  const output = Buffer.from(data);
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * 4;
+    const alpha = matte[i] * (data[offset + 3] / 255);
+    if (alpha === 0) {
+      removed++;
+      output[offset] = output[offset + 1] = output[offset + 2] = output[offset + 3] = 0;
+      continue;
+    }
+    if (alpha < 1) {
+      // Remove the background color bleeding into semi-transparent edge pixels
+      output[offset] = Math.max(0, Math.min(255, Math.round((data[offset] - bgR * (1 - alpha)) / alpha)));
+      output[offset + 1] = Math.max(0, Math.min(255, Math.round((data[offset + 1] - bgG * (1 - alpha)) / alpha)));
+      output[offset + 2] = Math.max(0, Math.min(255, Math.round((data[offset + 2] - bgB * (1 - alpha)) / alpha)));
+    }
+    output[offset + 3] = Math.round(alpha * 255);
+  }
+
+  return {
+    buffer: await encodePng({ data: output, width, height }),
+    removedRatio: removed / pixelCount
+  };
+}
+
+/**
+ * Make an image tile seamlessly using offset-and-blend: the image is wrapped by half its
+ * size, which moves its seams to the center, and blended over the original near the edges.
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {Object} options
+ * @param {number} options.blendWidth - Width of the blended band along each edge, as a fraction of the size (0.05-0.5, default: 0.25)
+ * @returns {Promise<Buffer>} Seamless PNG image data
+ */
+export async function makeSeamless(buffer, { blendWidth = 0.25 } = {}) {
+  const { data, width, height } = await decodeRgba(buffer);
+  const output = Buffer.alloc(data.length);
+  const bandX = Math.max(1, Math.round(width * blendWidth));
+  const bandY = Math.max(1, Math.round(height * blendWidth));
+  const halfX = Math.floor(width / 2);
+  const halfY = Math.floor(height / 2);
+
+  for (let y = 0; y < height; y++) {
+    const edgeY = Math.max(0, 1 - Math.min(y, height - 1 - y) / bandY);
+    for (let x = 0; x < width; x++) {
+      const edgeX = Math.max(0, 1 - Math.min(x, width - 1 - x) / bandX);
+      // 1 at the edges (use the wrapped image, which is continuous there), 0 in the center
+      const weight = Math.max(edgeX, edgeY);
+      const offset = (y * width + x) * 4;
+      const wrappedOffset = (((y + halfY) % height) * width + ((x + halfX) % width)) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        output[offset + channel] = Math.round(data[offset + channel] * (1 - weight) + data[wrappedOffset + channel] * weight);
+      }
+    }
+  }
+
+  return await encodePng({ data: output, width, height });
+}
+
+/**
+ * Check how visible the seams of an image are when it is tiled.
+ * Compares the color difference across the wrap-around edges with the average difference
+ * between neighbouring rows/columns inside the image.
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {number} maxRatio - Highest edge/interior ratio still considered seamless (default: 1.5)
+ * @returns {Promise<Object>} { horizontal, vertical, seamless } where horizontal/vertical are the ratios
+ */
+export async function measureSeams(buffer, maxRatio = 1.5) {
+  const { data, width, height } = await decodeRgba(buffer);
+  const pixelDiff = (a, b) => (
+    Math.abs(data[a] - data[b]) + Math.abs(data[a + 1] - data[b + 1]) + Math.abs(data[a + 2] - data[b + 2])
+  ) / 3;
+
+  let edgeX = 0;
+  let interiorX = 0;
+  for (let y = 0; y < height; y++) {
+    edgeX += pixelDiff((y * width + width - 1) * 4, (y * width) * 4);
+    for (let x = 0; x < width - 1; x++) {
+      interiorX += pixelDiff((y * width + x) * 4, (y * width + x + 1) * 4);
+    }
+  }
+  let edgeY = 0;
+  let interiorY = 0;
+  for (let x = 0; x < width; x++) {
+    edgeY += pixelDiff(((height - 1) * width + x) * 4, x * 4);
+    for (let y = 0; y < height - 1; y++) {
+      interiorY += pixelDiff((y * width + x) * 4, ((y + 1) * width + x) * 4);
+    }
+  }
+
+  // Ratio of the mean seam difference to the mean interior difference (1 = no visible seam)
+  const ratio = (edge, edgeCount, interior, interiorCount) => {
+    const interiorMean = interior / interiorCount;
+    return Math.round(((edge / edgeCount) / Math.max(interiorMean, 1)) * 100) / 100;
+  };
+  const horizontal = ratio(edgeX, height, interiorX, height * (width - 1));
+  const vertical = ratio(edgeY, width, interiorY, width * (height - 1));
+
+  return { horizontal, vertical, seamless: horizontal <= maxRatio && vertical <= maxRatio };
+}
+
+/**
+ * Cut an image into a grid of fixed-size tiles
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {Object} options
+ * @param {number} options.tileSize - Width and height of a tile in pixels
+ * @param {number} options.columns - Resize the image to this many tiles per row first (default: as many as fit)
+ * @returns {Promise<Object>} { buffer, width, height, columns, rows, tiles } - the tileset PNG (cropped to whole tiles) and the rect of each tile
+ */
+export async function sliceTileset(buffer, { tileSize, columns = null }) {
+  let image = sharp(buffer);
+  const { width: sourceWidth, height: sourceHeight } = await image.metadata();
+
+  let width = sourceWidth;
+  let height = sourceHeight;
+  if (columns) {
+    width = columns * tileSize;
+    height = Math.max(tileSize, Math.round((sourceHeight * width / sourceWidth) / tileSize) * tileSize);
+    image = sharp(await image.resize(width, height, { fit: "fill", kernel: "lanczos3" }).png().toBuffer());
+  }
+
+  const tileColumns = Math.floor(width / tileSize);
+  const tileRows = Math.floor(height / tileSize);
+  if (tileColumns === 0 || tileRows === 0) {
+    throw new Error(`Image (${width}x${height}) is smaller than one ${tileSize}px tile`);
+  }
+
+  const tiles = [];
+  for (let row = 0; row < tileRows; row++) {
+    for (let column = 0; column < tileColumns; column++) {
+      tiles.push({ id: tiles.length, row, column, x: column * tileSize, y: row * tileSize, w: tileSize, h: tileSize });
+    }
+  }
+
+  return {
+    buffer: await image.extract({ left: 0, top: 0, width: tileColumns * tileSize, height: tileRows * tileSize }).png().toBuffer(),
+    width: tileColumns * tileSize,
+    height: tileRows * tileSize,
+    columns: tileColumns,
+    rows: tileRows,
+    tiles
+  };
+}
+
+/**
+ * Convert a mask image to a binary PNG mask of the given size (white = edit).
+ * Transparent mask pixels count as black.
+ * @param {Buffer} maskBuffer - PNG or JPEG mask
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Promise<Object>} { buffer, coverage } - the mask PNG and the fraction of pixels marked for editing
+ */
+export async function normalizeMask(maskBuffer, width, height) {
+  const { data } = await sharp(maskBuffer)
+    .flatten({ background: "#000000" })
+    .resize(width, height, { fit: "fill", kernel: "nearest" })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let marked = 0;
+  const binary = Buffer.alloc(width * height);
+  for (let i = 0; i < binary.length; i++) {
+    binary[i] = data[i] >= 128 ? 255 : 0;
+    if (binary[i]) marked++;
+  }
+
+  return {
+    buffer: await sharp(binary, { raw: { width, height, channels: 1 } }).png().toBuffer(),
+    coverage: marked / binary.length
+  };
+}
+
+/**
+ * Blend an edited image over the original inside a mask, at the original resolution
+ * @param {Buffer} originalBuffer - The original image
+ * @param {Buffer} editedBuffer - The edited image (resized to the original size if needed)
+ * @param {Buffer} maskBuffer - Binary mask from normalizeMask (white = take the edited image)
+ * @param {Object} options
+ * @param {number} options.feather - Width in pixels of the soft transition at the mask border (0-32, default: 4)
+ * @returns {Promise<Buffer>} The composited PNG
+ */
+export async function compositeWithMask(originalBuffer, editedBuffer, maskBuffer, { feather = 4 } = {}) {
+  const original = await decodeRgba(originalBuffer);
+  const { width, height } = original;
+  const { data: edited } = await sharp(editedBuffer)
+    .ensureAlpha()
+    .resize(width, height, { fit: "fill", kernel: "lanczos3" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { data: maskData } = await sharp(maskBuffer)
+    .resize(width, height, { fit: "fill", kernel: "nearest" })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  let weights = new Float32Array(width * height);
+  for (let i = 0; i < weights.length; i++) {
+    weights[i] = maskData[i] / 255;
+  }
+  if (feather > 0) {
+    weights = blurMask(weights, width, height, feather);
+  }
+
+  const output = Buffer.alloc(original.data.length);
+  for (let i = 0; i < weights.length; i++) {
+    const weight = weights[i];
+    for (let channel = 0; channel < 4; channel++) {
+      const offset = i * 4 + channel;
+      output[offset] = Math.round(original.data[offset] * (1 - weight) + edited[offset] * weight);
+    }
+  }
+
+  return await encodePng({ data: output, width, height });
+}
+
+/**
+ * Check whether an image has any transparent or semi-transparent pixels
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @returns {Promise<boolean>}
+ */
+export async function hasTransparency(buffer) {
+  const { data } = await decodeRgba(buffer);
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
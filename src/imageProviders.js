@@ -0,0 +1,214 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { log } from "./logger.js";
+import { sleep } from "./utils.js";
+
+// Text-to-image providers. Every provider turns a generation request into an image Blob:
+//   hf      - Hugging Face Inference API (default)
+//   a1111   - Local server speaking the Automatic1111 txt2img JSON API (/sdapi/v1/txt2img)
+//   comfyui - Local ComfyUI server running a workflow in API format with {{placeholders}}
+// A request holds { prompt, model, provider, width, height, steps, guidanceScale, seed, negativePrompt };
+// unset values (null or undefined) fall back to the provider's defaults.
+
+export const IMAGE_PROVIDERS = ["hf", "a1111", "comfyui"];
+
+// Default server URL of the local providers
+export const DEFAULT_PROVIDER_URLS = {
+  a1111: "http://127.0.0.1:7860",
+  comfyui: "http://127.0.0.1:8188"
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+function createHfProvider(inferenceClient) {
+  return {
+    name: "hf",
+    async textToImage(request, options = {}) {
+      const parameters = { num_inference_steps: request.steps };
+      if (isSet(request.seed)) parameters.seed = request.seed;
+      if (request.width) parameters.width = request.width;
+      if (request.height) parameters.height = request.height;
+      if (isSet(request.guidanceScale)) parameters.guidance_scale = request.guidanceScale;
+      if (request.negativePrompt) parameters.negative_prompt = request.negativePrompt;
+
+      return await inferenceClient.textToImage({
+        model: request.model,
+        inputs: request.prompt,
+        parameters,
+        provider: request.provider,
+      }, options);
+    }
+  };
+}
+
+// Headers of requests to a local server; IMAGE_PROVIDER_AUTH is "user:password" (e.g., A1111's --api-auth)
+function providerHeaders(auth) {
+  const headers = { "Content-Type": "application/json" };
+  if (auth) {
+    headers.Authorization = `Basic ${Buffer.from(auth).toString("base64")}`;
+  }
+  return headers;
+}
+
+async function checkResponse(response, what) {
+  if (!response.ok) {
+    const body = await response.text().catch(() => "");
+    throw new Error(`${what} failed: ${response.status} ${response.statusText}${body ? ` - ${body.slice(0, 200)}` : ""}`);
+  }
+  return response;
+}
+
+function createA1111Provider({ url, model, auth }) {
+  return {
+    name: "a1111",
+    async textToImage(request, options = {}) {
+      const payload = {
+        prompt: request.prompt,
+        negative_prompt: request.negativePrompt || "",
+        seed: request.seed ?? -1,
+        batch_size: 1,
+        n_iter: 1
+      };
+      if (request.steps) payload.steps = request.steps;
+      if (isSet(request.guidanceScale)) payload.cfg_scale = request.guidanceScale;
+      if (request.width) payload.width = request.width;
+      if (request.height) payload.height = request.height;
+      if (model) payload.override_settings = { sd_model_checkpoint: model };
+
+      const response = await fetch(`${url}/sdapi/v1/txt2img`, {
+        method: "POST",
+        headers: providerHeaders(auth),
+        body: JSON.stringify(payload),
+        signal: options.signal
+      });
+      await checkResponse(response, "A1111 txt2img request");
+      const result = await response.json();
+      if (!Array.isArray(result.images) || !result.images[0]) {
+        throw new Error("A1111 txt2img returned no image");
+      }
+      // Images are base64 PNGs, with a data URL prefix on some servers
+      return new Blob([Buffer.from(result.images[0].replace(/^data:[^,]+,/, ""), "base64")], { type: "image/png" });
+    }
+  };
+}
+
+/**
+ * Fill the {{placeholders}} of a ComfyUI workflow. A string that is exactly one placeholder
+ * is replaced by the value itself, so numbers stay numbers; placeholders inside longer strings
+ * are replaced by their text.
+ * @param {*} node - The workflow, or a part of it
+ * @param {Object} values - Values by placeholder name
+ * @returns {*} A filled copy
+ */
+export function fillWorkflow(node, values) {
+  if (typeof node === "string") {
+    const exact = node.match(/^\{\{(\w+)\}\}$/);
+    if (exact && exact[1] in values) {
+      return values[exact[1]];
+    }
+    return node.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+  }
+  if (Array.isArray(node)) {
+    return node.map(item => fillWorkflow(item, values));
+  }
+  if (node && typeof node === "object") {
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, fillWorkflow(value, values)]));
+  }
+  return node;
+}
+
+function createComfyUIProvider({ url, model, auth, workflow, timeout, workDir }) {
+  return {
+    name: "comfyui",
+    async textToImage(request, options = {}) {
+      const { signal } = options;
+      const filled = fillWorkflow(workflow, {
+        prompt: request.prompt,
+        negative_prompt: request.negativePrompt || "",
+        seed: request.seed ?? crypto.randomInt(0, 2 ** 32),
+        steps: request.steps || 30,
+        cfg: request.guidanceScale ?? 7,
+        width: request.width || 1024,
+        height: request.height || 1024,
+        model: model || ""
+      });
+
+      const clientId = crypto.randomUUID();
+      const queueResponse = await fetch(`${url}/prompt`, {
+        method: "POST",
+        headers: providerHeaders(auth),
+        body: JSON.stringify({ prompt: filled, client_id: clientId }),
+        signal
+      });
+      await checkResponse(queueResponse, "ComfyUI prompt request");
+      const { prompt_id: promptId } = await queueResponse.json();
+      await log('DEBUG', `ComfyUI queued prompt ${promptId}`, workDir);
+
+      // Poll the history until the prompt has finished
+      const deadline = Date.now() + timeout * 1000;
+      let entry = null;
+      while (!entry) {
+        if (Date.now() > deadline) {
+          throw new Error(`ComfyUI prompt ${promptId} did not finish within ${timeout} seconds`);
+        }
+        await sleep(1000, signal);
+        const historyResponse = await fetch(`${url}/history/${promptId}`, { headers: providerHeaders(auth), signal });
+        await checkResponse(historyResponse, "ComfyUI history request");
+        entry = (await historyResponse.json())[promptId] || null;
+      }
+
+      if (entry.status?.status_str === "error") {
+        const message = entry.status.messages?.find(([type]) => type === "execution_error")?.[1]?.exception_message;
+        throw new Error(`ComfyUI prompt ${promptId} failed${message ? `: ${message}` : ""}`);
+      }
+
+      const image = Object.values(entry.outputs || {}).flatMap(output => output.images || [])[0];
+      if (!image) {
+        throw new Error(`ComfyUI prompt ${promptId} produced no image - the workflow needs a SaveImage or PreviewImage node`);
+      }
+
+      const query = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || "", type: image.type || "output" });
+      const imageResponse = await fetch(`${url}/view?${query}`, { headers: providerHeaders(auth), signal });
+      await checkResponse(imageResponse, "ComfyUI image download");
+      return new Blob([await imageResponse.arrayBuffer()], { type: imageResponse.headers.get("content-type") || "image/png" });
+    }
+  };
+}
+
+/**
+ * Create the text-to-image provider selected by IMAGE_PROVIDER
+ * @param {Object} config - The server config (imageProvider, imageProviderUrl, imageProviderModel,
+ *   imageProviderWorkflow, imageProviderAuth, imageProviderTimeout, workDir)
+ * @param {Object} inferenceClient - The Hugging Face InferenceClient, used by the "hf" provider
+ * @returns {Promise<Object>} { name, textToImage(request, options) }
+ */
+export async function createImageProvider(config, inferenceClient) {
+  const { imageProvider, imageProviderUrl, imageProviderModel, imageProviderAuth, imageProviderTimeout, workDir } = config;
+
+  if (imageProvider === "hf") {
+    return createHfProvider(inferenceClient);
+  }
+
+  const url = (imageProviderUrl || DEFAULT_PROVIDER_URLS[imageProvider]).replace(/\/+$/, "");
+  await log('INFO', `Using ${imageProvider} image provider at ${url}`, workDir);
+
+  if (imageProvider === "a1111") {
+    return createA1111Provider({ url, model: imageProviderModel, auth: imageProviderAuth });
+  }
+
+  if (!config.imageProviderWorkflow) {
+    throw new Error("IMAGE_PROVIDER_WORKFLOW is required for the comfyui image provider");
+  }
+  const workflowPath = path.resolve(workDir, config.imageProviderWorkflow);
+  let workflow;
+  try {
+    workflow = JSON.parse(await fs.readFile(workflowPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to load ComfyUI workflow ${workflowPath}: ${error.message}`);
+  }
+  if (!JSON.stringify(workflow).includes("{{prompt}}")) {
+    throw new Error(`ComfyUI workflow ${workflowPath} has no {{prompt}} placeholder`);
+  }
+  return createComfyUIProvider({ url, model: imageProviderModel, auth: imageProviderAuth, workflow, timeout: imageProviderTimeout, workDir });
+}
@@ -13,6 +13,10 @@ import { log } from "./logger.js";
 import { createServer } from "./mcpServer.js";
 import { checkRateLimit } from "./utils.js";
 import { initializeClients } from "./clients.js";
+import { loadJobStore } from "./jobStore.js";
+import { configureScheduler } from "./scheduler.js";
+import { configureSpacePool, registerSpace } from "./spacePool.js";
+import { loadBackendsFromDirectory, applyBackendEnvDefaults } from "./workflows/registry.js";
 
 // Initialize global operation updates
 global.operationUpdates = {};
@@ -22,7 +26,22 @@ async function main() {
   await log("INFO", "Configuration loaded", config.workDir);
   
   try {
+    await loadJobStore(config.workDir, { retentionDays: config.jobRetentionDays });
+    configureScheduler({
+      concurrency: config.spaceConcurrency,
+      concurrencyOverrides: config.spaceConcurrencyOverrides,
+      maxQueueSize: config.spaceQueueSize
+    });
+    // Third-party 3D backends must be registered before space type detection
+    await loadBackendsFromDirectory(config.backendsDir, config.workDir);
+    applyBackendEnvDefaults(config);
+    configureSpacePool({
+      routing: config.modelSpaceRouting,
+      failoverWait: config.modelSpaceFailoverWait,
+      failureCooldown: config.modelSpaceFailureCooldown
+    });
     const clients = await initializeClients(config);
+    clients.modelSpaces.forEach(space => registerSpace(space));
     const server = await createServer(config, clients);
     const useSSE = process.argv.includes("--sse");
     const useHttps = process.argv.includes("--https");
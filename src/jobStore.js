@@ -0,0 +1,197 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { log } from "./logger.js";
+import { TERMINAL_STATUSES } from "./operations.js";
+
+// Durable record of long-running jobs, stored as JSON lines under <workDir>/jobs/jobs.jsonl.
+// Every line is a partial job record; replaying the file in order (later lines win)
+// yields the current state of each job. The file is compacted on load, dropping finished jobs
+// older than the retention period.
+
+const jobs = new Map(); // Internal module state: job ID -> job record
+let jobsFile = null;
+let storeWorkDir = null;
+let lastJobNumber = 0;
+
+function parseJobNumber(jobId) {
+  const match = String(jobId).match(/-(\d+)$/);
+  return match ? parseInt(match[1]) : 0;
+}
+
+async function appendRecord(record) {
+  if (!jobsFile) {
+    throw new Error("Job store has not been loaded");
+  }
+  await fs.appendFile(jobsFile, JSON.stringify(record) + "\n");
+}
+
+/**
+ * Load the job store from disk and restore the operation history of stored jobs
+ * @param {string} workDir - The working directory holding the jobs directory
+ * @param {Object} options
+ * @param {number} options.retentionDays - Finished jobs last updated longer ago are dropped (default: 30)
+ */
+export async function loadJobStore(workDir, { retentionDays = 30 } = {}) {
+  storeWorkDir = workDir;
+  const jobsDir = path.join(workDir, "jobs");
+  await fs.mkdir(jobsDir, { recursive: true });
+  jobsFile = path.join(jobsDir, "jobs.jsonl");
+
+  let contents = "";
+  try {
+    contents = await fs.readFile(jobsFile, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  jobs.clear();
+  for (const line of contents.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      const existing = jobs.get(record.id) || {};
+      jobs.set(record.id, {
+        ...existing,
+        ...record,
+        artifacts: { ...existing.artifacts, ...record.artifacts },
+        artifactSpaceTypes: { ...existing.artifactSpaceTypes, ...record.artifactSpaceTypes }
+      });
+    } catch (error) {
+      await log('WARN', `Skipping corrupt job store line: ${error.message}`, workDir);
+    }
+  }
+
+  lastJobNumber = Math.max(0, ...[...jobs.keys()].map(parseJobNumber));
+
+  // Unfinished jobs are kept so they can be resumed; the job numbers keep counting from the highest seen
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  let pruned = 0;
+  for (const job of [...jobs.values()]) {
+    if (TERMINAL_STATUSES.includes(job.status) && !(new Date(job.updatedAt).getTime() >= cutoff)) {
+      jobs.delete(job.id);
+      pruned++;
+    }
+  }
+  if (pruned > 0) {
+    await log('INFO', `Dropped ${pruned} job(s) finished more than ${retentionDays} day(s) ago from the job store`, workDir);
+  }
+
+  // Compact the file to one line per job
+  const compacted = [...jobs.values()].map(job => JSON.stringify(job) + "\n").join("");
+  const tempFile = `${jobsFile}.tmp`;
+  await fs.writeFile(tempFile, compacted);
+  await fs.rename(tempFile, jobsFile);
+
+  // Restore a minimal operation history so stored jobs can still be queried
+  for (const job of jobs.values()) {
+    const history = [{
+      toolName: job.toolName,
+      status: "STARTED",
+      details: {},
+      timestamp: job.createdAt,
+      message: `Operation ${job.id} [${job.toolName}] - STARTED (restored from job store)`
+    }];
+    if (job.status !== "STARTED") {
+      history.push({
+        toolName: job.toolName,
+        status: job.status,
+        details: job.details || {},
+        timestamp: job.updatedAt,
+        message: `Operation ${job.id} [${job.toolName}] - ${job.status} (restored from job store)`
+      });
+    }
+    global.operationUpdates[job.id] = history;
+  }
+
+  await log('INFO', `Loaded ${jobs.size} job(s) from ${jobsFile}`, workDir);
+}
+
+/**
+ * Create and persist a new job
+ * @param {string} prefix - Prefix for the job ID (e.g., "3D")
+ * @param {string} toolName - The tool that started the job
+ * @param {Object} inputs - The validated tool inputs needed to re-run the job
+ * @returns {Promise<Object>} The new job record
+ */
+export async function createJob(prefix, toolName, inputs) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${prefix}-${++lastJobNumber}`,
+    toolName,
+    inputs,
+    status: "STARTED",
+    details: {},
+    artifacts: {},
+    artifactSpaceTypes: {},
+    createdAt: now,
+    updatedAt: now
+  };
+  jobs.set(job.id, job);
+  await appendRecord(job);
+  return job;
+}
+
+/**
+ * Record the latest status of a job
+ * @param {string} jobId - The job ID
+ * @param {string} status - Operation status (e.g., "PROCESSING", "COMPLETED")
+ * @param {Object} details - Details of the status, as passed to logOperation
+ */
+export async function updateJobStatus(jobId, status, details = {}) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  const update = { id: jobId, status, details, updatedAt: new Date().toISOString() };
+  Object.assign(job, update);
+  await appendRecord(update);
+}
+
+/**
+ * Record an intermediate artifact so the job can resume from it after a restart
+ * @param {string} jobId - The job ID
+ * @param {string} kind - Artifact kind (e.g., "3d_image", "3d_processed", "3d_view_front")
+ * @param {string} filePath - Path of the saved artifact
+ * @param {string|null} spaceType - Type of the space that produced the artifact, if it is specific to it
+ */
+export async function recordJobArtifact(jobId, kind, filePath, spaceType = null) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  job.artifacts[kind] = filePath;
+  job.artifactSpaceTypes = { ...job.artifactSpaceTypes, [kind]: spaceType };
+  job.updatedAt = new Date().toISOString();
+  await appendRecord({ id: jobId, artifacts: { [kind]: filePath }, artifactSpaceTypes: { [kind]: spaceType }, updatedAt: job.updatedAt });
+  if (storeWorkDir) {
+    await log('DEBUG', `Recorded ${kind} artifact for job ${jobId}: ${filePath}`, storeWorkDir);
+  }
+}
+
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+// Jobs that were still running when the server last stopped
+export function listUnfinishedJobs() {
+  return [...jobs.values()].filter(job => !TERMINAL_STATUSES.includes(job.status));
+}
+
+/**
+ * Return the recorded artifacts of a job that still exist on disk
+ * @param {Object} job - The job record
+ * @param {Object} options
+ * @param {string} options.spaceType - Leave out artifacts produced by a space of another type
+ */
+export async function getExistingArtifacts(job, { spaceType = null } = {}) {
+  const artifacts = {};
+  for (const [kind, filePath] of Object.entries(job.artifacts || {})) {
+    const producedBy = job.artifactSpaceTypes?.[kind];
+    if (spaceType && producedBy && producedBy !== spaceType) continue;
+    try {
+      await fs.access(filePath);
+      artifacts[kind] = filePath;
+    } catch {
+      // Artifact was removed; the step that produced it will run again
+    }
+  }
+  return artifacts;
+}
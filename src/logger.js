@@ -28,6 +28,7 @@ export async function logOperation(toolName, operationId, status, details = {},
     global.operationUpdates[operationId] = [];
   }
   global.operationUpdates[operationId].push({
+    toolName,
     status,
     details,
     timestamp: new Date().toISOString(),
@@ -0,0 +1,36 @@
+import { createCanvas } from "canvas";
+
+// Render edit masks for inpainting: white marks the area to change, black the area to keep.
+
+/**
+ * Render rectangles and polygons into a mask image
+ * @param {number} width - Width of the mask (the source image width)
+ * @param {number} height - Height of the mask (the source image height)
+ * @param {Object} shapes
+ * @param {Object} shapes.rect - { x, y, width, height } in source pixels
+ * @param {number[][]} shapes.polygon - Polygon points as [x, y] in source pixels
+ * @returns {Buffer} PNG mask
+ */
+export function renderMask(width, height, { rect = null, polygon = null }) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#000000";
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = "#ffffff";
+
+  if (rect) {
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+
+  if (polygon) {
+    ctx.beginPath();
+    ctx.moveTo(polygon[0][0], polygon[0][1]);
+    for (const [x, y] of polygon.slice(1)) {
+      ctx.lineTo(x, y);
+    }
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  return canvas.toBuffer("image/png");
+}
@@ -10,21 +10,21 @@ export async function createServer(config, clients) {
     { name: "game-asset-generator", version: "0.3.0" }, // Updated to version 0.3.0 with Hunyuan3D-2mini-Turbo support
     {
       capabilities: {
-        tools: { list: true, call: true },
+        tools: { list: true, call: true, listChanged: true }, // The 3D tools change when the model space is switched
         resources: { list: true, read: true, listChanged: true }, // Added listChanged capability
         prompts: { list: true, get: true }
       },
     }
   );
 
-  const notifyResourceListChanged = async () => {
-    await log("DEBUG", "Notifying clients of resource list change", config.workDir);
-    await server.notification({ method: "notifications/resources/list_changed" });
+  // Send a list_changed notification to the connected client and to every SSE client
+  const notifyListChanged = async (method) => {
+    await server.notification({ method });
     if (global.transports) {
       for (const [clientId, transport] of global.transports) {
         try {
-          await transport.sendNotification({ method: "notifications/resources/list_changed" });
-          await log('DEBUG', `Sent resource list change notification to client ${clientId}`, config.workDir);
+          await transport.sendNotification({ method });
+          await log('DEBUG', `Sent ${method} notification to client ${clientId}`, config.workDir);
         } catch (error) {
           await log('ERROR', `Failed to send notification to client ${clientId}: ${error.message}`, config.workDir);
         }
@@ -32,7 +32,17 @@ export async function createServer(config, clients) {
     }
   };
 
-  registerToolHandlers(server, config, clients, notifyResourceListChanged);
+  const notifyResourceListChanged = async () => {
+    await log("DEBUG", "Notifying clients of resource list change", config.workDir);
+    await notifyListChanged("notifications/resources/list_changed");
+  };
+
+  const notifyToolListChanged = async () => {
+    await log("DEBUG", "Notifying clients of tool list change", config.workDir);
+    await notifyListChanged("notifications/tools/list_changed");
+  };
+
+  registerToolHandlers(server, config, clients, notifyResourceListChanged, notifyToolListChanged);
   registerResourceHandlers(server, config);
   registerPromptHandlers(server);
 
@@ -0,0 +1,256 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import { log } from "./logger.js";
+import { sleep } from "./utils.js";
+
+// Offline stand-ins for the Hugging Face InferenceClient and the Gradio Client (MOCK_MODE=true).
+// They return canned images and meshes after a configurable latency, and can inject failures
+// such as GPU quota errors to reproduce retry behaviour without a network connection.
+
+export const DEFAULT_MOCK_FAILURE_MESSAGE = "You have exceeded your GPU quota (mock). Please retry in 5 seconds";
+
+/**
+ * Injects latency and failures into mock calls
+ * @param {Object} options
+ * @param {number} options.latency - Delay of every call in milliseconds
+ * @param {number} options.failureRate - Probability (0-1) that a call fails
+ * @param {number} options.failFirst - Number of calls to each endpoint that fail before it succeeds
+ * @param {string} options.failureMessage - Message of the injected errors
+ * @param {string} options.workDir - The working directory for log files
+ */
+function createFaultInjector({ latency = 0, failureRate = 0, failFirst = 0, failureMessage = DEFAULT_MOCK_FAILURE_MESSAGE, workDir = null }) {
+  const callCounts = new Map(); // Internal state: endpoint -> number of calls
+
+  return async (endpoint, signal = null) => {
+    const count = (callCounts.get(endpoint) || 0) + 1;
+    callCounts.set(endpoint, count);
+
+    await sleep(latency, signal);
+
+    if (count <= failFirst || Math.random() < failureRate) {
+      await log('DEBUG', `Mock: failing call ${count} to ${endpoint}`, workDir);
+      throw new Error(failureMessage);
+    }
+  };
+}
+
+// Deterministic color of a prompt, so the same prompt gives the same mock image
+function promptColor(prompt) {
+  return `#${crypto.createHash("md5").update(String(prompt)).digest("hex").slice(0, 6)}`;
+}
+
+/**
+ * Render a mock image: a colored shape labelled with the prompt on a white background,
+ * like the isolated objects the real models are asked for
+ * @param {string} prompt - The prompt
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Promise<Buffer>} PNG image data
+ */
+export async function renderMockImage(prompt, width = 512, height = 512) {
+  const size = Math.min(width, height);
+  const label = String(prompt).slice(0, 40).replace(/[<>&"']/g, "");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+    <rect width="100%" height="100%" fill="#ffffff"/>
+    <rect x="${width / 2 - size * 0.3}" y="${height / 2 - size * 0.3}" width="${size * 0.6}" height="${size * 0.6}" rx="${size * 0.08}" fill="${promptColor(prompt)}"/>
+    <text x="50%" y="${height - size * 0.05}" font-family="sans-serif" font-size="${Math.max(8, Math.round(size / 24))}" text-anchor="middle" fill="#333333">${label}</text>
+  </svg>`;
+  return await sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// A unit cube as OBJ
+const MOCK_OBJ = [
+  "# Mock model (game-asset-mcp MOCK_MODE)",
+  "v -0.5 -0.5 -0.5", "v 0.5 -0.5 -0.5", "v 0.5 0.5 -0.5", "v -0.5 0.5 -0.5",
+  "v -0.5 -0.5 0.5", "v 0.5 -0.5 0.5", "v 0.5 0.5 0.5", "v -0.5 0.5 0.5",
+  "f 1 3 2", "f 1 4 3", "f 5 6 7", "f 5 7 8", "f 1 2 6", "f 1 6 5",
+  "f 4 7 3", "f 4 8 7", "f 1 5 8", "f 1 8 4", "f 2 3 7", "f 2 7 6",
+  ""
+].join("\n");
+
+/**
+ * Build a unit cube as a binary glTF (GLB) file
+ * @returns {Buffer} GLB data
+ */
+export function buildMockGlb() {
+  const positions = new Float32Array([
+    -0.5, -0.5, -0.5, 0.5, -0.5, -0.5, 0.5, 0.5, -0.5, -0.5, 0.5, -0.5,
+    -0.5, -0.5, 0.5, 0.5, -0.5, 0.5, 0.5, 0.5, 0.5, -0.5, 0.5, 0.5
+  ]);
+  const indices = new Uint16Array([
+    0, 2, 1, 0, 3, 2, 4, 5, 6, 4, 6, 7, 0, 1, 5, 0, 5, 4,
+    3, 6, 2, 3, 7, 6, 0, 4, 7, 0, 7, 3, 1, 2, 6, 1, 6, 5
+  ]);
+  const bin = Buffer.concat([Buffer.from(indices.buffer), Buffer.from(positions.buffer)]);
+
+  const gltf = {
+    asset: { version: "2.0", generator: "game-asset-mcp mock" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 1 }, indices: 0 }] }],
+    buffers: [{ byteLength: bin.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: indices.byteLength, target: 34963 },
+      { buffer: 0, byteOffset: indices.byteLength, byteLength: positions.byteLength, target: 34962 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5123, count: indices.length, type: "SCALAR" },
+      { bufferView: 1, componentType: 5126, count: 8, type: "VEC3", min: [-0.5, -0.5, -0.5], max: [0.5, 0.5, 0.5] }
+    ]
+  };
+
+  // Chunks are padded to 4 bytes: JSON with spaces, binary data with zeros
+  let json = Buffer.from(JSON.stringify(gltf));
+  json = Buffer.concat([json, Buffer.alloc((4 - (json.length % 4)) % 4, 0x20)]);
+  const chunk = (data, type) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32LE(data.length, 0);
+    header.writeUInt32LE(type, 4);
+    return Buffer.concat([header, data]);
+  };
+  const body = Buffer.concat([chunk(json, 0x4e4f534a), chunk(bin, 0x004e4942)]);
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0); // "glTF"
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + body.length, 8);
+  return Buffer.concat([header, body]);
+}
+
+// Gradio file outputs, served as data URLs so no server is needed
+const fileOutput = (buffer, mimeType, name) => ({
+  url: `data:${mimeType};base64,${buffer.toString("base64")}`,
+  orig_name: name,
+  mime_type: mimeType
+});
+
+// The image input of a call (a File or Blob), or a mock image if there is none
+async function inputImage(args) {
+  const file = args.find(arg => arg instanceof Blob);
+  const buffer = file ? await sharp(Buffer.from(await file.arrayBuffer())).png().toBuffer() : await renderMockImage("mock");
+  return fileOutput(buffer, "image/png", "image.png");
+}
+
+const objFile = () => fileOutput(Buffer.from(MOCK_OBJ), "model/obj", "mesh.obj");
+const glbFile = () => fileOutput(buildMockGlb(), "model/gltf-binary", "mesh.glb");
+const parameters = (...names) => ({ parameters: names.map(name => ({ parameter_name: name, parameter_has_default: false })) });
+
+// Canned responses per space type (and the upscaler space): endpoint -> { parameters, respond(args) }
+const MOCK_SPACES = {
+  instantmesh: {
+    "/check_input_image": { ...parameters("input_image"), respond: async () => [null] },
+    "/preprocess": { ...parameters("input_image", "do_remove_background"), respond: async (args) => [await inputImage(args)] },
+    "/generate_mvs": { ...parameters("input_image", "sample_steps", "sample_seed"), respond: async (args) => [await inputImage(args)] },
+    "/make3d": { ...parameters(), respond: async () => [objFile(), glbFile()] }
+  },
+  hunyuan3d: {
+    "/shape_generation": { ...parameters("caption", "image", "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg"), respond: async () => [glbFile(), "<div>mock</div>", {}] },
+    "/generation_all": { ...parameters("caption", "image", "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg"), respond: async () => [glbFile(), glbFile(), "<div>mock</div>", {}] }
+  },
+  hunyuan3d_mini_turbo: {
+    "/on_gen_mode_change": { ...parameters("value"), respond: async () => [] },
+    "/on_decode_mode_change": { ...parameters("value"), respond: async () => [] },
+    "/on_export_click": { ...parameters("file_out", "file_out2", "file_type", "reduce_face", "export_texture", "target_face_num"), respond: async () => [{ value: glbFile() }] },
+    "/generation_all": {
+      ...parameters("caption", "image", "mv_image_front", "mv_image_back", "mv_image_left", "mv_image_right", "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg", "num_chunks", "randomize_seed"),
+      respond: async () => [{ value: glbFile() }, { value: glbFile() }, "<div>mock</div>", {}, 1234]
+    }
+  },
+  trellis: {
+    "/start_session": { ...parameters(), respond: async () => [] },
+    "/preprocess_image": { ...parameters("image"), respond: async (args) => [await inputImage(args)] },
+    "/image_to_3d": {
+      ...parameters("image", "multiimages", "is_multiimage", "seed", "ss_guidance_strength", "ss_sampling_steps", "slat_guidance_strength", "slat_sampling_steps"),
+      respond: async () => [{ video: fileOutput(Buffer.alloc(0), "video/mp4", "preview.mp4") }]
+    },
+    "/extract_glb": { ...parameters("mesh_simplify", "texture_size"), respond: async () => [glbFile(), glbFile()] }
+  },
+  stable_fast_3d: {
+    "/requires_bg_remove": { ...parameters("image", "fr"), respond: async () => ["Run", null] },
+    "/run_button": {
+      ...parameters("run_btn", "input_image", "foreground_ratio", "remesh_option", "vertex_count", "texture_size"),
+      respond: async () => [{ __type__: "update" }, null, null, { __type__: "update" }, { __type__: "update", value: glbFile() }]
+    }
+  },
+  triposr: {
+    "/check_input_image": { ...parameters("input_image"), respond: async () => [null] },
+    "/preprocess": { ...parameters("input_image", "do_remove_background", "foreground_ratio"), respond: async (args) => [await inputImage(args)] },
+    "/generate": { ...parameters("image", "mc_resolution"), respond: async () => [objFile(), glbFile()] }
+  },
+  upscale: {
+    "/predict": {
+      parameters: [
+        { parameter_name: "image", component: "Image", parameter_has_default: false },
+        { parameter_name: "scale", component: "Number", parameter_has_default: true, parameter_default: 4 }
+      ],
+      respond: async (args) => [await inputImage(args)]
+    }
+  }
+};
+
+/**
+ * Create a mock of the Hugging Face InferenceClient. textToImage renders a shape in a color derived
+ * from the prompt; imageToImage returns the input image with its hue shifted.
+ * @param {Object} options - Latency and failure options (see createFaultInjector)
+ * @returns {Object} The mock client
+ */
+export function createMockInferenceClient(options = {}) {
+  const injectFaults = createFaultInjector(options);
+
+  return {
+    async textToImage({ inputs, parameters = {} }, requestOptions = {}) {
+      await injectFaults("textToImage", requestOptions.signal);
+      const buffer = await renderMockImage(`${inputs} ${parameters.seed ?? ""}`, parameters.width || 512, parameters.height || 512);
+      return new Blob([buffer], { type: "image/png" });
+    },
+    async imageToImage({ inputs }, requestOptions = {}) {
+      await injectFaults("imageToImage", requestOptions.signal);
+      const buffer = await sharp(Buffer.from(await inputs.arrayBuffer())).modulate({ hue: 30 }).png().toBuffer();
+      return new Blob([buffer], { type: "image/png" });
+    }
+  };
+}
+
+/**
+ * Create a mock of a Gradio Client connected to a space. view_api lists the canned endpoints of the
+ * space type, so space type detection runs as it would against a real space.
+ * @param {string} kind - A space type with canned responses, or "upscale" for the upscaler space
+ * @param {Object} options - Latency and failure options (see createFaultInjector)
+ * @returns {Object} The mock client
+ */
+export function createMockGradioClient(kind, options = {}) {
+  const endpoints = MOCK_SPACES[kind];
+  if (!endpoints) {
+    throw new Error(`No mock responses for space type "${kind}". Mock mode supports: ${Object.keys(MOCK_SPACES).filter(name => name !== "upscale").join(", ")}`);
+  }
+  const injectFaults = createFaultInjector(options);
+
+  return {
+    async view_api() {
+      return {
+        named_endpoints: Object.fromEntries(Object.entries(endpoints).map(([name, { parameters }]) => [name, { parameters, returns: [] }])),
+        unnamed_endpoints: {}
+      };
+    },
+    async predict(endpoint, args = []) {
+      const mock = endpoints[endpoint];
+      if (!mock) {
+        throw new Error(`Mock ${kind} space has no ${endpoint} endpoint`);
+      }
+      await injectFaults(endpoint);
+      await log('DEBUG', `Mock: ${kind}${endpoint} called with ${Array.isArray(args) ? args.length : Object.keys(args).length} argument(s)`, options.workDir);
+      return { type: "data", endpoint, data: await mock.respond(Array.isArray(args) ? args : Object.values(args)) };
+    }
+  };
+}
+
+// Mock latency and failure options from the server config
+export function mockOptionsFromConfig(config) {
+  return {
+    latency: config.mockLatency,
+    failureRate: config.mockFailureRate,
+    failFirst: config.mockFailFirst,
+    failureMessage: config.mockFailureMessage,
+    workDir: config.workDir
+  };
+}
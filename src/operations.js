@@ -0,0 +1,170 @@
+import { getQueuePosition } from "./scheduler.js";
+
+// Operation state helpers built on top of global.operationUpdates,
+// which is populated by logOperation and retryWithBackoff.
+
+// Statuses after which an operation will not receive further updates
+export const TERMINAL_STATUSES = ["COMPLETED", "ERROR", "CANCELLED"];
+
+// Abort controllers for in-flight operations, keyed by operation ID
+const operationControllers = new Map();
+
+// Progress reporters for operations whose request asked for progress notifications
+const progressReporters = new Map();
+
+function getHistory(operationId) {
+  return global.operationUpdates && global.operationUpdates[operationId];
+}
+
+export function listOperationIds() {
+  return Object.keys(global.operationUpdates || {});
+}
+
+/**
+ * Create the abort controller for a new in-flight operation
+ * @param {string} operationId - The ID of the operation
+ * @returns {AbortSignal} The signal to pass through the operation's workflow
+ */
+export function createOperationSignal(operationId) {
+  const controller = new AbortController();
+  operationControllers.set(operationId, controller);
+  return controller.signal;
+}
+
+// Drop the abort controller and progress reporter once an operation has finished, successfully or not
+export function releaseOperation(operationId) {
+  operationControllers.delete(operationId);
+  progressReporters.delete(operationId);
+}
+
+/**
+ * Attach a progress reporter (see createProgressReporter) to an operation
+ * @param {string} operationId - The ID of the operation
+ * @param {Function|null} reporter - async (progress, message) => void
+ */
+export function setOperationProgressReporter(operationId, reporter) {
+  if (reporter) {
+    progressReporters.set(operationId, reporter);
+  }
+}
+
+// Stop reporting progress for an operation whose request has returned; the operation keeps running
+export function removeOperationProgressReporter(operationId) {
+  progressReporters.delete(operationId);
+}
+
+/**
+ * Report progress for an operation. Does nothing if nobody asked for progress.
+ * @param {string} operationId - The ID of the operation
+ * @param {number|null} progress - Progress from 0 to 100, or null to keep the current value
+ * @param {string} message - Description of the current step
+ */
+export async function reportOperationProgress(operationId, progress, message) {
+  const reporter = operationId && progressReporters.get(operationId);
+  if (reporter) {
+    await reporter(progress, message);
+  }
+}
+
+/**
+ * Request cancellation of an in-flight operation
+ * @param {string} operationId - The ID of the operation to cancel
+ * @returns {boolean} True if the operation was running and has been signalled
+ */
+export function cancelOperation(operationId) {
+  const controller = operationControllers.get(operationId);
+  if (!controller || controller.signal.aborted) {
+    return false;
+  }
+  controller.abort(new Error(`Operation ${operationId} was cancelled`));
+  return true;
+}
+
+/**
+ * List known operations with a short summary of each
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Only include operations that have not finished
+ */
+export function listOperations({ activeOnly = false } = {}) {
+  return listOperationIds()
+    .map(operationId => getOperationStatus(operationId))
+    .filter(status => status && (!activeOnly || !status.done))
+    .map(({ operationId, toolName, status, phase, step, done, startedAt, elapsedSeconds, queue }) => ({
+      operationId,
+      toolName,
+      status,
+      phase,
+      step,
+      done,
+      startedAt,
+      elapsedSeconds,
+      queue
+    }));
+}
+
+/**
+ * Summarize the recorded history of an operation into its current state
+ * @param {string} operationId - The ID of the operation (e.g., "3D-1")
+ * @returns {Object|null} The operation status, or null if the operation is unknown
+ */
+export function getOperationStatus(operationId) {
+  const history = getHistory(operationId);
+  if (!history || history.length === 0) {
+    return null;
+  }
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const done = TERMINAL_STATUSES.includes(last.status);
+
+  // The phase is the most recent non-WAITING status; WAITING entries only describe retries
+  const phaseEntry = [...history].reverse().find(entry => entry.status !== "WAITING") || first;
+  const stepEntry = [...history].reverse().find(entry => entry.details && entry.details.step);
+
+  const startedAt = first.timestamp;
+  const endTime = done ? new Date(last.timestamp).getTime() : Date.now();
+  const elapsedSeconds = Math.round((endTime - new Date(startedAt).getTime()) / 1000);
+
+  const status = {
+    operationId,
+    toolName: first.toolName || null,
+    status: last.status,
+    phase: phaseEntry.status,
+    step: stepEntry ? stepEntry.details.step : null,
+    done,
+    startedAt,
+    updatedAt: last.timestamp,
+    elapsedSeconds,
+    queue: getQueuePosition(operationId),
+    retry: null,
+    resources: null,
+    error: null
+  };
+
+  if (last.status === "WAITING") {
+    status.retry = {
+      retryCount: last.retryCount,
+      maxRetries: last.maxRetries,
+      waitTime: last.waitTime,
+      retryAt: new Date(new Date(last.timestamp).getTime() + last.waitTime * 1000).toISOString(),
+      message: last.message
+    };
+  }
+
+  if (last.status === "COMPLETED") {
+    status.resources = {
+      obj: last.details.objUri,
+      glb: last.details.glbUri
+    };
+  }
+
+  if (last.status === "ERROR") {
+    status.error = last.details.error || last.message;
+  }
+
+  if (last.status === "CANCELLED") {
+    status.error = last.details.reason || "Cancelled";
+  }
+
+  return status;
+}
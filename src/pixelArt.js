@@ -0,0 +1,243 @@
+import { promises as fs } from "fs";
+import path from "path";
+import sharp from "sharp";
+
+// Pixel-art post-processing: nearest-neighbour downscale, palette quantization,
+// dithering and outlines, with an upscaled preview.
+
+const hexToRgb = (hex) => {
+  const value = hex.replace(/^#/, "");
+  return [0, 2, 4].map(index => parseInt(value.slice(index, index + 2), 16));
+};
+
+// Built-in palettes, by name
+export const PALETTES = {
+  pico8: [
+    "000000", "1d2b53", "7e2553", "008751", "ab5236", "5f574f", "c2c3c7", "fff1e8",
+    "ff004d", "ffa300", "ffec27", "00e436", "29adff", "83769c", "ff77a8", "ffccaa"
+  ].map(hexToRgb),
+  nes: [
+    "000000", "fcfcfc", "f8f8f8", "bcbcbc", "7c7c7c", "a4e4fc", "3cbcfc", "0078f8",
+    "0000fc", "b8b8f8", "6888fc", "0058f8", "0000bc", "d8b8f8", "9878f8", "6844fc",
+    "4428bc", "f8b8f8", "f878f8", "d800cc", "940084", "f8a4c0", "f85898", "e40058",
+    "a80020", "f0d0b0", "f87858", "f83800", "a81000", "fce0a8", "fca044", "e45c10",
+    "881400", "f8d878", "f8b800", "ac7c00", "503000", "d8f878", "b8f818", "00b800",
+    "007800", "b8f8b8", "58d854", "00a800", "006800", "b8f8d8", "58f898", "00a844",
+    "005800", "00fcfc", "00e8d8", "008888", "004058", "f8d8f8", "787878"
+  ].map(hexToRgb),
+  gameboy: ["0f380f", "306230", "8bac0f", "9bbc0f"].map(hexToRgb)
+};
+
+export const DITHER_MODES = ["none", "ordered", "floyd-steinberg"];
+
+// 4x4 Bayer matrix for ordered dithering
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/**
+ * Parse a hex color such as "#1d2b53" or "1d2b53"
+ * @param {string} hex - The color
+ * @returns {number[]} [r, g, b]
+ */
+export function parseHexColor(hex) {
+  if (!/^#?[0-9a-fA-F]{6}$/.test(hex)) {
+    throw new Error(`Invalid color "${hex}" - expected a hex color such as #1d2b53`);
+  }
+  return hexToRgb(hex);
+}
+
+/**
+ * Load a palette by name or from a palette file inside the working directory.
+ * Palette files can be .hex (one color per line), .json (array of hex colors) or .gpl (GIMP).
+ * @param {string} palette - A name from PALETTES or a file path
+ * @param {string} workDir - The working directory; files outside it are rejected
+ * @returns {Promise<number[][]>} The palette colors as [r, g, b]
+ */
+export async function loadPalette(palette, workDir) {
+  if (PALETTES[palette.toLowerCase()]) {
+    return PALETTES[palette.toLowerCase()];
+  }
+
+  const filePath = path.resolve(workDir, palette);
+  if (!filePath.startsWith(path.resolve(workDir) + path.sep)) {
+    throw new Error("Palette file must be inside the working directory");
+  }
+
+  let contents;
+  try {
+    contents = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Unknown palette "${palette}" - use one of ${Object.keys(PALETTES).join(", ")} or a palette file (${error.code})`);
+  }
+
+  let colors;
+  if (filePath.endsWith(".json")) {
+    colors = JSON.parse(contents).map(parseHexColor);
+  } else if (filePath.endsWith(".gpl")) {
+    colors = contents.split("\n")
+      .map(line => line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)/))
+      .filter(Boolean)
+      .map(match => [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])]);
+  } else {
+    colors = contents.split("\n").map(line => line.trim()).filter(Boolean).map(parseHexColor);
+  }
+
+  if (colors.length === 0 || colors.length > 256) {
+    throw new Error(`Palette file ${palette} must contain between 1 and 256 colors`);
+  }
+  return colors;
+}
+
+// Perceptually weighted ("redmean") distance between two colors
+function colorDistance(r1, g1, b1, [r2, g2, b2]) {
+  const meanRed = (r1 + r2) / 2;
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return (2 + meanRed / 256) * dr * dr + 4 * dg * dg + (2 + (255 - meanRed) / 256) * db * db;
+}
+
+function nearestColor(palette, r, g, b) {
+  let best = palette[0];
+  let bestDistance = Infinity;
+  for (const color of palette) {
+    const distance = colorDistance(r, g, b, color);
+    if (distance < bestDistance) {
+      best = color;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Map every opaque pixel to the palette in place, optionally dithering
+function quantizeToPalette(data, width, height, palette, dither) {
+  const errors = dither === "floyd-steinberg" ? new Float32Array(width * height * 3) : null;
+  // Spread of the ordered dither, roughly the distance between palette colors
+  const spread = 255 / Math.max(1, Math.cbrt(palette.length));
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      const offset = index * 4;
+      if (data[offset + 3] === 0) continue;
+
+      let r = data[offset];
+      let g = data[offset + 1];
+      let b = data[offset + 2];
+      if (dither === "ordered") {
+        const threshold = ((BAYER_4X4[y % 4][x % 4] + 0.5) / 16 - 0.5) * spread;
+        r += threshold;
+        g += threshold;
+        b += threshold;
+      } else if (errors) {
+        r += errors[index * 3];
+        g += errors[index * 3 + 1];
+        b += errors[index * 3 + 2];
+      }
+
+      const color = nearestColor(palette, r, g, b);
+      data[offset] = color[0];
+      data[offset + 1] = color[1];
+      data[offset + 2] = color[2];
+
+      if (errors) {
+        // Spread the quantization error to unvisited neighbours
+        const error = [r - color[0], g - color[1], b - color[2]];
+        const spreadError = (dx, dy, weight) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) return;
+          const target = (ny * width + nx) * 3;
+          for (let channel = 0; channel < 3; channel++) {
+            errors[target + channel] += error[channel] * weight;
+          }
+        };
+        spreadError(1, 0, 7 / 16);
+        spreadError(-1, 1, 3 / 16);
+        spreadError(0, 1, 5 / 16);
+        spreadError(1, 1, 1 / 16);
+      }
+    }
+  }
+}
+
+// Color transparent pixels that touch an opaque pixel (4-connected)
+function addOutline(data, width, height, color) {
+  const opaque = new Uint8Array(width * height);
+  for (let i = 0; i < opaque.length; i++) {
+    opaque[i] = data[i * 4 + 3] > 0 ? 1 : 0;
+  }
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x;
+      if (opaque[index]) continue;
+      const touches = (x > 0 && opaque[index - 1]) || (x < width - 1 && opaque[index + 1]) ||
+        (y > 0 && opaque[index - width]) || (y < height - 1 && opaque[index + width]);
+      if (touches) {
+        data.set([color[0], color[1], color[2], 255], index * 4);
+      }
+    }
+  }
+}
+
+/**
+ * Turn an image into pixel art
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {Object} options
+ * @param {number} options.gridSize - Size of the longest side in pixels after downscaling (e.g., 16, 32, 64)
+ * @param {number[][]|null} options.palette - Palette colors as [r, g, b]; null keeps the original colors
+ * @param {number|null} options.colors - Without a palette, reduce to this many colors (2-256)
+ * @param {string} options.dither - One of DITHER_MODES (default: "none")
+ * @param {boolean} options.outline - Draw a 1px outline around the sprite (default: false)
+ * @param {number[]|null} options.outlineColor - Outline color as [r, g, b] (default: darkest palette color, or black)
+ * @param {number} options.previewScale - Integer scale of the preview image (default: fits about 512px)
+ * @returns {Promise<Object>} { buffer, preview, width, height, previewScale } with PNG image data
+ */
+export async function pixelize(buffer, {
+  gridSize,
+  palette = null,
+  colors = null,
+  dither = "none",
+  outline = false,
+  outlineColor = null,
+  previewScale = null
+}) {
+  let downscaled = sharp(buffer)
+    .ensureAlpha()
+    .resize(gridSize, gridSize, { fit: "inside", kernel: "nearest" });
+
+  if (!palette && colors) {
+    // Adaptive palette from libimagequant
+    downscaled = sharp(await downscaled.png({ palette: true, colors, dither: dither === "none" ? 0 : 1 }).toBuffer()).ensureAlpha();
+  }
+
+  const { data, info } = await downscaled.raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  // Pixel art has no partial transparency
+  for (let i = 3; i < data.length; i += 4) {
+    data[i] = data[i] >= 128 ? 255 : 0;
+  }
+
+  if (palette) {
+    quantizeToPalette(data, width, height, palette, dither);
+  }
+
+  if (outline) {
+    const darkest = palette
+      ? palette.reduce((a, b) => (a[0] + a[1] + a[2] <= b[0] + b[1] + b[2] ? a : b))
+      : [0, 0, 0];
+    addOutline(data, width, height, outlineColor || darkest);
+  }
+
+  const png = await sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  const scale = previewScale || Math.max(1, Math.floor(512 / Math.max(width, height)));
+  const preview = await sharp(png).resize(width * scale, height * scale, { kernel: "nearest" }).png().toBuffer();
+
+  return { buffer: png, preview, width, height, previewScale: scale };
+}
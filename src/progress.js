@@ -0,0 +1,34 @@
+import { log } from "./logger.js";
+
+/**
+ * Create a reporter that sends MCP progress notifications for a request. Progress may only be
+ * reported while the request is in flight, so the reporter must not outlive it.
+ * @param {Function} sendNotification - The request-scoped sendNotification of the handler's extra argument
+ * @param {string|number} progressToken - The progressToken from the request's _meta, if any
+ * @param {string} workDir - The working directory for log files
+ * @param {number} total - The progress value that represents completion
+ * @returns {Function|null} async (progress, message) => void, or null if the client did not ask for progress
+ */
+export function createProgressReporter(sendNotification, progressToken, workDir, total = 100) {
+  if (progressToken === undefined || progressToken === null) {
+    return null;
+  }
+
+  let lastProgress = 0;
+
+  return async (progress, message) => {
+    // Progress must increase with every notification, so updates that do not move
+    // the pipeline forward (e.g. retry waits, progress = null) nudge it by a small step
+    const next = Math.max(progress ?? lastProgress, lastProgress + 0.1);
+    lastProgress = Math.round(Math.min(total, next) * 10) / 10;
+
+    try {
+      await sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress: lastProgress, total, message }
+      });
+    } catch (error) {
+      await log('DEBUG', `Failed to send progress notification: ${error.message}`, workDir);
+    }
+  };
+}
@@ -3,6 +3,7 @@ import { promises as fs } from "fs";
 import path from "path";
 import { log } from "./logger.js";
 import { getMimeType, parseResourceUri } from "./utils.js";
+import { getOperationStatus } from "./operations.js";
 
 export function registerResourceHandlers(server, config) {
   const { assetsDir, workDir } = config;
@@ -113,6 +114,23 @@ export function registerResourceHandlers(server, config) {
       }
     }
     
+    if (uri.startsWith("operation://")) {
+      const operationId = uri.slice("operation://".length);
+      const status = getOperationStatus(operationId);
+      
+      if (!status) {
+        throw new Error(`Unknown operation: ${operationId}`);
+      }
+      
+      return {
+        contents: [{
+          uri: uri,
+          mimeType: "application/json",
+          text: JSON.stringify(status, null, 2)
+        }]
+      };
+    }
+    
     throw new Error("Unsupported URI scheme");
   });
   
@@ -124,6 +142,11 @@ export function registerResourceHandlers(server, config) {
           uriTemplate: "asset://{type}/{id}",
           name: "Generated Asset",
           description: "Filter assets by type and ID"
+        },
+        {
+          uriTemplate: "operation://{operationId}",
+          name: "Operation Status",
+          description: "Current status of a long-running operation such as 3D asset generation"
         }
       ]
     };
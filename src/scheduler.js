@@ -0,0 +1,154 @@
+// Bounded concurrency scheduler for Space calls.
+// Each Space gets its own queue; tasks run highest priority first, FIFO within a priority.
+
+const queues = new Map(); // Internal module state: queue key (Space) -> { running, waiting }
+const concurrencyLimits = new Map(); // Internal module state: queue key (Space) -> maximum concurrency
+let settings = {
+  concurrency: 1,
+  concurrencyOverrides: {},
+  maxQueueSize: 10
+};
+let sequence = 0;
+
+/**
+ * Configure scheduler limits
+ * @param {Object} options
+ * @param {number} options.concurrency - Default number of tasks running at once per Space
+ * @param {Object} options.concurrencyOverrides - Per-Space concurrency, keyed by Space name
+ * @param {number} options.maxQueueSize - Maximum number of waiting tasks per Space
+ */
+export function configureScheduler({ concurrency, concurrencyOverrides, maxQueueSize } = {}) {
+  settings = {
+    concurrency: concurrency ?? settings.concurrency,
+    concurrencyOverrides: concurrencyOverrides ?? settings.concurrencyOverrides,
+    maxQueueSize: maxQueueSize ?? settings.maxQueueSize
+  };
+}
+
+function getQueue(key) {
+  if (!queues.has(key)) {
+    queues.set(key, { running: 0, waiting: [] });
+  }
+  return queues.get(key);
+}
+
+function getConcurrency(key) {
+  const concurrency = settings.concurrencyOverrides[key] || settings.concurrency;
+  return Math.min(concurrency, concurrencyLimits.get(key) ?? Infinity);
+}
+
+/**
+ * Cap the concurrency of a Space regardless of the configured concurrency, e.g. for
+ * Spaces whose endpoints read the session state left by the previous call
+ * @param {string} key - Queue key, normally the Space name
+ * @param {number|null} limit - Maximum number of tasks running at once, or null to remove the cap
+ */
+export function setConcurrencyLimit(key, limit) {
+  if (limit) {
+    concurrencyLimits.set(key, limit);
+  } else {
+    concurrencyLimits.delete(key);
+  }
+}
+
+function drain(key) {
+  const queue = getQueue(key);
+  while (queue.running < getConcurrency(key) && queue.waiting.length > 0) {
+    const entry = queue.waiting.shift();
+    entry.signal?.removeEventListener("abort", entry.onAbort);
+    queue.running++;
+    const held = [];
+    const hold = (promise) => {
+      held.push(promise);
+      return promise;
+    };
+    Promise.resolve()
+      .then(() => entry.task({ hold }))
+      .then(entry.resolve, entry.reject)
+      // The slot stays taken until the work passed to hold has settled, even if the task gave up on it
+      .then(() => Promise.allSettled(held))
+      .finally(() => {
+        queue.running--;
+        drain(key);
+      });
+  }
+}
+
+// True when no more tasks should be accepted for the given Space
+export function isQueueFull(key) {
+  return getQueue(key).waiting.length >= settings.maxQueueSize;
+}
+
+// Number of tasks a Space takes at once: running and waiting
+export function getQueueCapacity(key) {
+  return getConcurrency(key) + settings.maxQueueSize;
+}
+
+/**
+ * Run a task once a slot for its Space is free
+ * @param {string} key - Queue key, normally the Space name
+ * @param {string} taskId - ID used to report the task's queue position (e.g., the operation ID)
+ * @param {Function} task - Async function to run, called with { hold }: hold(promise) keeps the slot
+ *   taken until the promise settles, for work that outlives the task (e.g., a Space call it stopped waiting for)
+ * @param {Object} options
+ * @param {number} options.priority - Higher priorities run first (default: 0)
+ * @param {AbortSignal} options.signal - Removes the task from the queue when aborted
+ * @returns {Promise} Settles with the result of the task; rejects at once if the task would have
+ *   to wait and the queue is full
+ */
+export function scheduleTask(key, taskId, task, { priority = 0, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const queue = getQueue(key);
+    if (queue.running >= getConcurrency(key) && queue.waiting.length >= settings.maxQueueSize) {
+      reject(new Error(`The queue for ${key} is full (${settings.maxQueueSize} waiting tasks)`));
+      return;
+    }
+    const entry = { taskId, task, priority, order: ++sequence, resolve, reject, signal };
+
+    if (signal) {
+      entry.onAbort = () => {
+        const index = queue.waiting.indexOf(entry);
+        if (index !== -1) {
+          queue.waiting.splice(index, 1);
+          reject(signal.reason);
+        }
+      };
+      signal.addEventListener("abort", entry.onAbort, { once: true });
+    }
+
+    queue.waiting.push(entry);
+    queue.waiting.sort((a, b) => b.priority - a.priority || a.order - b.order);
+    drain(key);
+  });
+}
+
+/**
+ * Get the queue position of a waiting task
+ * @param {string} taskId - The task ID passed to scheduleTask
+ * @returns {Object|null} { space, position, waiting } or null if the task is not waiting
+ */
+export function getQueuePosition(taskId) {
+  for (const [key, queue] of queues) {
+    const index = queue.waiting.findIndex(entry => entry.taskId === taskId);
+    if (index !== -1) {
+      return { space: key, position: index + 1, waiting: queue.waiting.length };
+    }
+  }
+  return null;
+}
+
+// Running and waiting task counts for every Space that has been used
+export function getSchedulerStats() {
+  return [...queues.entries()].map(([key, queue]) => ({
+    space: key,
+    running: queue.running,
+    waiting: queue.waiting.length,
+    concurrency: getConcurrency(key),
+    maxQueueSize: settings.maxQueueSize
+  }));
+}
@@ -0,0 +1,298 @@
+import { log } from "./logger.js";
+import { retryWithBackoff, calculateWaitTime, isGpuQuotaError, isSpaceFailure } from "./utils.js";
+import { scheduleTask, getSchedulerStats, isQueueFull, getQueueCapacity, setConcurrencyLimit } from "./scheduler.js";
+import { getBackend } from "./workflows/registry.js";
+
+// Pool of the model Spaces that 3D jobs are routed to (MODEL_SPACES).
+// A Space that fails a job because it is unavailable is cooled down - for the wait time of a GPU quota
+// error, or for MODEL_SPACE_FAILURE_COOLDOWN after connection, timeout and server errors - and jobs go
+// to the other Spaces meanwhile. Errors caused by the job itself (e.g., a bad input image) fail the job only.
+
+export const ROUTING_STRATEGIES = ["least_busy", "ordered"];
+
+const spaces = new Map(); // Internal module state: Space name -> { name, spaceType, client, health counters }
+const reservedJobs = new Set(); // Internal module state: operations accepted and not yet finished
+let nextOrder = 0;
+let settings = {
+  routing: "least_busy",
+  failoverWait: 60,
+  failureCooldown: 300
+};
+
+/**
+ * Configure routing and cooldowns
+ * @param {Object} options
+ * @param {string} options.routing - "least_busy" (fewest running and waiting jobs) or "ordered" (first healthy Space)
+ * @param {number} options.failoverWait - Longest GPU quota wait in seconds before a job moves to another Space
+ * @param {number} options.failureCooldown - Seconds a Space is skipped after a connection, timeout or server error
+ */
+export function configureSpacePool({ routing, failoverWait, failureCooldown } = {}) {
+  settings = {
+    routing: routing ?? settings.routing,
+    failoverWait: failoverWait ?? settings.failoverWait,
+    failureCooldown: failureCooldown ?? settings.failureCooldown
+  };
+}
+
+/**
+ * Add a connected Space to the pool, replacing a Space of the same name. Spaces are preferred
+ * in the order they are registered.
+ * @param {Object} space - { name, spaceType, client }
+ * @param {Object} options
+ * @param {boolean} options.primary - Put the Space ahead of the others (e.g., when switching Spaces at runtime)
+ */
+export function registerSpace({ name, spaceType, client }, { primary = false } = {}) {
+  spaces.delete(name);
+  limitConcurrency(name, spaceType);
+  const order = primary ? Math.min(0, ...listSpaces().map(space => space.order)) - 1 : nextOrder++;
+  spaces.set(name, {
+    name,
+    spaceType,
+    client,
+    order,
+    multiView: null,
+    cooldownUntil: 0,
+    cooldownReason: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    completed: 0,
+    failed: 0
+  });
+}
+
+// Remove a Space from the pool; jobs already running on it are not affected
+export function removeSpace(name) {
+  return spaces.delete(name);
+}
+
+// Set the type of a Space after it was detected again
+export function updateSpaceType(name, spaceType) {
+  const space = spaces.get(name);
+  if (!space) return;
+  space.spaceType = spaceType;
+  space.multiView = null;
+  limitConcurrency(name, spaceType);
+}
+
+// Remove every Space from the pool
+export function clearSpacePool() {
+  spaces.clear();
+  reservedJobs.clear();
+  nextOrder = 0;
+}
+
+// The Spaces of the pool in registration order
+export function listSpaces() {
+  return [...spaces.values()].sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Reserve a place in the pool for a new job. Jobs reserve their place when they are created, before
+ * their first step, so a burst of calls cannot all pass while none of them has reached a Space queue yet.
+ * The pool takes as many jobs as its Spaces run and queue together; release the place when the job ends.
+ * @param {string} operationId - The job
+ * @param {Object} options
+ * @param {boolean} options.force - Reserve even if the pool is full (e.g., for jobs resumed after a restart)
+ * @returns {boolean} false if the pool is full
+ */
+export function reserveJobSlot(operationId, { force = false } = {}) {
+  const capacity = listSpaces().reduce((total, { name }) => total + getQueueCapacity(name), 0);
+  if (!force && reservedJobs.size >= capacity) return false;
+  reservedJobs.add(operationId);
+  return true;
+}
+
+// Release the place of a job that has finished, failed or was cancelled
+export function releaseJobSlot(operationId) {
+  reservedJobs.delete(operationId);
+}
+
+/**
+ * The Spaces that take multi-view input. Each Space is asked once (see supportsMultiView in
+ * workflows/registry.js); a failed check is repeated the next time.
+ * @returns {Promise<string[]>} Space names in registration order
+ */
+export async function listMultiViewSpaces() {
+  const names = [];
+  for (const space of listSpaces()) {
+    if (!space.multiView) {
+      const backend = getBackend(space.spaceType);
+      space.multiView = backend?.supportsMultiView
+        ? Promise.resolve(backend.supportsMultiView(space.client)).catch(() => {
+          space.multiView = null;
+          return false;
+        })
+        : Promise.resolve(false);
+    }
+    if (await space.multiView) names.push(space.name);
+  }
+  return names;
+}
+
+// Spaces of backends that keep per-session state run one job at a time (see workflows/registry.js)
+function limitConcurrency(name, spaceType) {
+  setConcurrencyLimit(name, getBackend(spaceType)?.sessionStateful ? 1 : null);
+}
+
+/**
+ * The client of a Space as seen by one job: its predictions keep the job's scheduler slot taken until
+ * they settle. A cancelled job stops waiting for a prediction, but the Space keeps running it, and on
+ * backends with per-session state the next job must not call the Space meanwhile.
+ */
+function holdPredictions(client, hold) {
+  if (!client) return client;
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (property === "predict") {
+        return (...args) => hold(value.apply(target, args));
+      }
+      return typeof value === "function" ? value.bind(target) : value;
+    }
+  });
+}
+
+const isCoolingDown = (space, now = Date.now()) => space.cooldownUntil > now;
+
+// Running and waiting jobs of a Space
+function getLoad(name) {
+  const stats = getSchedulerStats().find(({ space }) => space === name);
+  return stats ? stats.running + stats.waiting : 0;
+}
+
+/**
+ * Choose the Space for the next attempt of a job. When every Space that accepts the job
+ * is cooling down, the one available again first is chosen.
+ * @param {Object} options
+ * @param {Set<string>} options.exclude - Spaces the job has already been tried on
+ * @param {Function} options.accepts - (space) => boolean, false for Spaces that cannot run the job
+ * @returns {Object|null} The Space, or null if no untried Space accepts the job
+ */
+export function selectSpace({ exclude = new Set(), accepts = () => true } = {}) {
+  const candidates = listSpaces().filter(space => !exclude.has(space.name) && accepts(space));
+  if (candidates.length === 0) return null;
+
+  const now = Date.now();
+  const healthy = candidates.filter(space => !isCoolingDown(space, now));
+  if (healthy.length === 0) {
+    return candidates.reduce((first, space) => (space.cooldownUntil < first.cooldownUntil ? space : first));
+  }
+
+  // Spaces with a full queue are only used when all of them are full
+  const open = healthy.filter(space => !isQueueFull(space.name));
+  const choices = open.length > 0 ? open : healthy;
+  if (settings.routing === "least_busy") {
+    return choices.reduce((best, space) => (getLoad(space.name) < getLoad(best.name) ? space : best));
+  }
+  return choices[0];
+}
+
+// Record a job that completed on a Space; a Space that works again is no longer cooling down
+export function markSpaceSuccess(name) {
+  const space = spaces.get(name);
+  if (!space) return;
+  space.completed++;
+  space.consecutiveFailures = 0;
+  space.cooldownUntil = 0;
+  space.cooldownReason = null;
+}
+
+/**
+ * Record a job that failed on a Space and cool the Space down
+ * @param {string} name - The Space
+ * @param {Error} error - The error of the job
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<number>} The cooldown in milliseconds
+ */
+export async function markSpaceFailure(name, error, workDir) {
+  const space = spaces.get(name);
+  if (!space) return 0;
+
+  const quota = isGpuQuotaError(error?.message);
+  const cooldown = calculateWaitTime(error?.message, settings.failureCooldown * 1000);
+  space.failed++;
+  space.consecutiveFailures++;
+  space.lastError = error?.message || String(error);
+  space.cooldownUntil = Math.max(space.cooldownUntil, Date.now() + cooldown);
+  space.cooldownReason = quota ? "quota" : "error";
+
+  if (spaces.size > 1) {
+    await log('WARN', `Space ${name} ${quota ? "is out of GPU quota" : "failed"}, skipping it for ${Math.round(cooldown / 1000)} seconds: ${space.lastError}`, workDir);
+  }
+  return cooldown;
+}
+
+// Health of every Space in the pool
+export function getSpacePoolStatus() {
+  const now = Date.now();
+  return listSpaces().map(space => ({
+    space: space.name,
+    spaceType: space.spaceType,
+    status: isCoolingDown(space, now) ? "cooling_down" : "healthy",
+    cooldownReason: isCoolingDown(space, now) ? space.cooldownReason : null,
+    availableAt: isCoolingDown(space, now) ? new Date(space.cooldownUntil).toISOString() : null,
+    lastError: space.lastError,
+    consecutiveFailures: space.consecutiveFailures,
+    completed: space.completed,
+    failed: space.failed,
+    load: getLoad(space.name)
+  }));
+}
+
+/**
+ * Run a job on the pool. The job waits for a slot on the chosen Space (see scheduler.js); if the Space
+ * fails it (see isSpaceFailure in utils.js), the Space is cooled down and the job is tried on the next
+ * healthy Space that accepts it. Other errors are thrown without touching the Space.
+ * While another healthy Space is left, GPU quota waits longer than the failover wait are not sat
+ * out: the error is thrown at once so the job moves on.
+ * @param {string} operationId - The operation, also used to report its queue position
+ * @param {Function} run - async (space, retry) => result; retry replaces retryWithBackoff in the workflow
+ * @param {Object} options
+ * @param {Function} options.accepts - (space) => boolean, false for Spaces that cannot run the job
+ * @param {number} options.priority - Scheduler priority of the job
+ * @param {AbortSignal} options.signal - Cancels the job; a cancelled job does not fail the Space
+ * @param {Function} options.onScheduled - async (space) => void, called once the job is queued on a Space
+ * @param {string} options.workDir - The working directory for log files
+ * @returns {Promise<{ result: *, space: Object }>} The result of run and the Space it ran on
+ */
+export async function runOnSpacePool(operationId, run, { accepts = () => true, priority = 0, signal = null, onScheduled = async () => {}, workDir = null } = {}) {
+  const tried = new Set();
+
+  let space = selectSpace({ accepts });
+  while (space) {
+    tried.add(space.name);
+    if (isCoolingDown(space) && spaces.size > 1) {
+      await log('WARN', `All model Spaces for operation ${operationId} are cooling down, using ${space.name} (available again at ${new Date(space.cooldownUntil).toISOString()})`, workDir);
+    }
+
+    const hasAlternative = listSpaces().some(other => !tried.has(other.name) && !isCoolingDown(other) && accepts(other));
+    const maxWaitTime = hasAlternative ? settings.failoverWait * 1000 : Infinity;
+    const retry = (operation, retryOperationId, maxRetries, initialDelay, retrySignal) =>
+      retryWithBackoff(operation, retryOperationId, maxRetries, initialDelay, retrySignal, { maxWaitTime });
+
+    try {
+      const [result] = await Promise.all([
+        scheduleTask(space.name, operationId, ({ hold }) => run({ ...space, client: holdPredictions(space.client, hold) }, retry), { priority, signal }),
+        onScheduled(space)
+      ]);
+      markSpaceSuccess(space.name);
+      return { result, space };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      // The job would fail the same way on any Space
+      if (!isSpaceFailure(error)) throw error;
+      await markSpaceFailure(space.name, error, workDir);
+
+      // Move on only to a healthy Space; when all are cooling down the job fails instead of waiting
+      const next = selectSpace({ exclude: tried, accepts });
+      if (next && !isCoolingDown(next)) {
+        await log('INFO', `Moving operation ${operationId} from ${space.name} to ${next.name}`, workDir);
+        space = next;
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error("No configured model Space can run this job");
+}
@@ -0,0 +1,99 @@
+import { createCanvas, loadImage } from "canvas";
+
+// Sprite sheet helpers: per-frame prompts, grid packing with canvas and frame metadata.
+
+/**
+ * Build the prompt of every frame of an animation
+ * @param {string} prompt - Description of the character or object
+ * @param {string} animation - Name of the animation (e.g., "walk cycle"), may be empty
+ * @param {number} frameCount - Number of frames
+ * @param {string[]} framePrompts - Optional per-frame descriptions (e.g., poses)
+ * @returns {string[]} One prompt per frame
+ */
+export function buildFramePrompts(prompt, animation, frameCount, framePrompts = []) {
+  return Array.from({ length: frameCount }, (_, index) => {
+    const parts = [prompt];
+    if (animation) {
+      parts.push(`${animation} animation, frame ${index + 1} of ${frameCount}`);
+    }
+    if (framePrompts[index]) {
+      parts.push(framePrompts[index]);
+    }
+    parts.push("same character design and art style in every frame, high detailed, complete object, not cut off, white solid background");
+    return parts.join(", ");
+  });
+}
+
+/**
+ * Pack frames into a grid. Each frame is scaled to fit its cell, keeping its aspect ratio, and centered.
+ * @param {Buffer[]} frames - PNG or JPEG frame images
+ * @param {Object} options
+ * @param {number} options.cellWidth - Width of a cell in pixels
+ * @param {number} options.cellHeight - Height of a cell in pixels
+ * @param {number} options.columns - Number of cells per row
+ * @returns {Promise<Object>} { buffer, width, height, rects } - PNG sheet and the cell rect of each frame
+ */
+export async function packSpriteSheet(frames, { cellWidth, cellHeight, columns }) {
+  const rows = Math.ceil(frames.length / columns);
+  const canvas = createCanvas(cellWidth * columns, cellHeight * rows);
+  const ctx = canvas.getContext("2d");
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+
+  const rects = [];
+  for (let index = 0; index < frames.length; index++) {
+    const image = await loadImage(frames[index]);
+    const x = (index % columns) * cellWidth;
+    const y = Math.floor(index / columns) * cellHeight;
+    const scale = Math.min(cellWidth / image.width, cellHeight / image.height);
+    const drawWidth = Math.round(image.width * scale);
+    const drawHeight = Math.round(image.height * scale);
+    ctx.drawImage(
+      image,
+      x + Math.floor((cellWidth - drawWidth) / 2),
+      y + Math.floor((cellHeight - drawHeight) / 2),
+      drawWidth,
+      drawHeight
+    );
+    rects.push({ x, y, w: cellWidth, h: cellHeight });
+  }
+
+  return {
+    buffer: canvas.toBuffer("image/png"),
+    width: canvas.width,
+    height: canvas.height,
+    rects
+  };
+}
+
+/**
+ * Describe the frames of a packed sheet for game engines and animation tools
+ * @param {Object} sheet - Result of packSpriteSheet
+ * @param {Object} options
+ * @param {string} options.image - File name of the sheet image
+ * @param {string[]} options.prompts - The prompt of each frame
+ * @param {number[]} options.durations - Duration of each frame in milliseconds
+ * @param {string} options.animation - Name of the animation
+ * @param {number} options.columns - Number of cells per row
+ * @returns {Object} Frame metadata
+ */
+export function buildSpriteSheetMetadata(sheet, { image, prompts, durations, animation, columns }) {
+  return {
+    frames: sheet.rects.map((rect, index) => ({
+      index,
+      frame: rect,
+      duration: durations[index],
+      prompt: prompts[index]
+    })),
+    meta: {
+      image,
+      size: { w: sheet.width, h: sheet.height },
+      cell: { w: sheet.rects[0].w, h: sheet.rects[0].h },
+      columns,
+      rows: Math.ceil(sheet.rects.length / columns),
+      frameCount: sheet.rects.length,
+      animation: animation || null,
+      totalDuration: durations.reduce((sum, duration) => sum + duration, 0)
+    }
+  };
+}
@@ -1,15 +1,236 @@
 import { ListToolsRequestSchema, CallToolRequestSchema } from "@modelcontextprotocol/sdk/types.js";
 import { z } from "zod";
 import { log, logOperation, logDetailedError } from "./logger.js";
-import { retryWithBackoff, sanitizePrompt, saveFileFromData, detectImageFormat } from "./utils.js";
+import { retryWithBackoff, sanitizePrompt, saveFileFromData, detectImageFormat, getMimeType, resolveImageInput, resolveAssetPath } from "./utils.js";
 import { MCP_ERROR_CODES } from "./validation.js";
-import { SPACE_TYPE } from "./spaceTypes.js";
 import { promises as fs } from "fs";
 import path from "path";
-import { process3dAsset } from "./workflows/index.js";
+import sharp from "sharp";
+import crypto from "crypto";
+import { process3dAsset, apply3dParameters, build3dParameterProperties } from "./workflows/index.js";
+import { getBackend, listBackends } from "./workflows/registry.js";
+import { MULTI_VIEW_SLOTS } from "./workflows/hunyuan3dMiniTurbo.js";
+import { getQueuePosition, getSchedulerStats } from "./scheduler.js";
+import { runOnSpacePool, listSpaces, getSpacePoolStatus, registerSpace, removeSpace, updateSpaceType, reserveJobSlot, releaseJobSlot, listMultiViewSpaces } from "./spacePool.js";
+import { connectModelSpace } from "./clients.js";
+import { validateSpaceFormat, detectSpaceType } from "./spaceTypes.js";
+import { createJob, updateJobStatus, recordJobArtifact, getExistingArtifacts, listUnfinishedJobs } from "./jobStore.js";
+import {
+  getOperationStatus,
+  listOperations,
+  cancelOperation,
+  createOperationSignal,
+  releaseOperation,
+  setOperationProgressReporter,
+  removeOperationProgressReporter,
+  reportOperationProgress
+} from "./operations.js";
+import { createProgressReporter } from "./progress.js";
+import {
+  resolve2dSettings,
+  generate2dImage,
+  saveAssetMetadata,
+  saveDerivedAsset,
+  makeBackgroundTransparent,
+  saveTileset,
+  savePixelArt,
+  resolveRefineSettings,
+  refine2dImage,
+  linkChildAssets,
+  resolveInpaintSettings,
+  inpaint2dImage,
+  build2dPrompt,
+  GENERATION_MODES
+} from "./assets2d.js";
+import { loadPalette, parseHexColor, DITHER_MODES } from "./pixelArt.js";
+import {
+  removeSolidBackground,
+  makeSeamless,
+  measureSeams,
+  normalizeMask,
+  compositeWithMask,
+  hasTransparency
+} from "./imageProcessing.js";
+import { renderMask } from "./masks.js";
+import { upscaleImage, checkUpscaleSize, checkUpscaleDimensions, UPSCALE_METHODS } from "./upscale.js";
+import { buildFramePrompts, packSpriteSheet, buildSpriteSheetMetadata } from "./spriteSheet.js";
+import { INFERENCE_PROVIDERS } from "@huggingface/inference";
 
-const schema2D = z.object({ prompt: z.string().min(1).max(500).transform(sanitizePrompt) });
-const schema3D = z.object({ prompt: z.string().min(1).max(500).transform(sanitizePrompt) });
+// Options shared by the 2D generation tools
+const schema2DOptions = z.object({
+  model: z.string().regex(/^[\w.-]+\/[\w.-]+$/, "Model must be a Hugging Face model ID (owner/name)").optional(),
+  provider: z.enum(INFERENCE_PROVIDERS).optional(),
+  width: z.number().int().min(64).max(2048).multipleOf(8).optional(),
+  height: z.number().int().min(64).max(2048).multipleOf(8).optional(),
+  steps: z.number().int().min(1).max(100).optional(),
+  guidance_scale: z.number().min(0).max(100).optional(),
+  seed: z.number().int().min(0).max(10000000).optional(),
+  negative_prompt: z.string().max(500).optional().transform(value => value && sanitizePrompt(value)),
+  transparent_background: z.boolean().optional(),
+  background_tolerance: z.number().int().min(0).max(255).optional(),
+  edge_feather: z.number().int().min(0).max(10).optional()
+});
+// Pixel-art options shared by generate_2d_asset and pixelize_2d_asset
+const schemaPixelArtOptions = z.object({
+  grid_size: z.number().int().min(8).max(256).optional().default(32),
+  palette: z.string().min(1).max(200).optional(),
+  colors: z.number().int().min(2).max(256).optional(),
+  dither: z.enum(DITHER_MODES).optional().default("none"),
+  outline: z.boolean().optional().default(false),
+  outline_color: z.string().regex(/^#?[0-9a-fA-F]{6}$/, "outline_color must be a hex color such as #000000").optional(),
+  preview_scale: z.number().int().min(1).max(32).optional()
+});
+const schema2D = schema2DOptions.merge(schemaPixelArtOptions).extend({
+  prompt: z.string().min(1).max(500).transform(sanitizePrompt),
+  pixelize: z.boolean().optional().default(false),
+  upscale: z.number().int().min(1).max(8).optional(),
+  upscale_method: z.enum(UPSCALE_METHODS).optional(),
+  mode: z.enum(GENERATION_MODES).optional().default("object"),
+  tile_size: z.number().int().min(8).max(512).optional(),
+  tileset_columns: z.number().int().min(1).max(64).optional()
+}).refine(data => data.mode === "tile" || (data.tile_size === undefined && data.tileset_columns === undefined), {
+  message: "tile_size and tileset_columns require mode \"tile\""
+}).refine(data => data.tileset_columns === undefined || data.tile_size !== undefined, {
+  message: "tileset_columns requires tile_size"
+});
+const schemaRefine = schema2DOptions.omit({ width: true, height: true }).extend({
+  image: z.string().min(1),
+  prompt: z.string().min(1).max(500).transform(sanitizePrompt),
+  strength: z.number().min(0).max(1).optional(),
+  variations: z.number().int().min(1).max(8).optional().default(1)
+});
+const schemaEdit = schema2DOptions.omit({ width: true, height: true }).extend({
+  image: z.string().min(1),
+  prompt: z.string().min(1).max(500).transform(sanitizePrompt),
+  mask: z.string().min(1).optional(),
+  rect: z.object({
+    x: z.number().int().min(0),
+    y: z.number().int().min(0),
+    width: z.number().int().min(1),
+    height: z.number().int().min(1)
+  }).optional(),
+  polygon: z.array(z.tuple([z.number(), z.number()])).min(3).max(100).optional(),
+  strength: z.number().min(0).max(1).optional(),
+  mask_feather: z.number().int().min(0).max(32).optional().default(4)
+}).refine(data => Boolean(data.mask) !== Boolean(data.rect || data.polygon), {
+  message: "Provide either a mask image or a rect and/or polygon"
+});
+const schemaUpscale = z.object({
+  image: z.string().min(1),
+  scale: z.number().int().min(2).max(8).optional().default(2),
+  method: z.enum(UPSCALE_METHODS).optional()
+});
+const schemaPixelize = schemaPixelArtOptions.extend({
+  image: z.string().min(1)
+});
+const schemaSliceTileset = z.object({
+  image: z.string().min(1),
+  tile_size: z.number().int().min(8).max(512),
+  columns: z.number().int().min(1).max(64).optional(),
+  make_seamless: z.boolean().optional().default(false)
+});
+const schemaSpriteSheet = schema2DOptions.extend({
+  prompt: z.string().min(1).max(500).transform(sanitizePrompt),
+  animation: z.string().max(100).optional().default("").transform(sanitizePrompt),
+  frames: z.number().int().min(2).max(16).optional().default(4),
+  frame_prompts: z.array(z.string().max(200).transform(sanitizePrompt)).max(16).optional().default([]),
+  cell_width: z.number().int().min(8).max(1024).optional().default(128),
+  cell_height: z.number().int().min(8).max(1024).optional().default(128),
+  columns: z.number().int().min(1).max(16).optional(),
+  frame_duration: z.number().int().min(10).max(10000).optional().default(100),
+  frame_durations: z.array(z.number().int().min(10).max(10000)).max(16).optional()
+}).refine(data => data.frame_prompts.length <= data.frames, {
+  message: "frame_prompts cannot have more entries than frames"
+}).refine(data => !data.frame_durations || data.frame_durations.length === data.frames, {
+  message: "frame_durations must have one entry per frame"
+});
+// Options shared by the 3D generation tools
+const schema3DOptions = z.object({
+  priority: z.number().int().min(-10).max(10).optional().default(0),
+  wait: z.boolean().optional().default(false),
+  timeout: z.number().int().min(1).max(3600).optional().default(600),
+  // Per-call generation parameters; ranges depend on the space and are checked by apply3dParameters
+  steps: z.number().int().optional(),
+  guidance_scale: z.number().optional(),
+  seed: z.number().int().optional(),
+  octree_resolution: z.union([z.string(), z.number().int()]).optional(),
+  remove_background: z.boolean().optional(),
+  turbo_mode: z.string().optional(),
+  ss_guidance_strength: z.number().optional(),
+  ss_sampling_steps: z.number().int().optional(),
+  slat_guidance_strength: z.number().optional(),
+  slat_sampling_steps: z.number().int().optional(),
+  mesh_simplify: z.number().optional(),
+  texture_size: z.number().int().optional(),
+  foreground_ratio: z.number().optional(),
+  remesh: z.string().optional(),
+  vertex_count: z.number().int().optional(),
+  mc_resolution: z.number().int().optional()
+}).passthrough(); // Parameters of custom backends are kept and checked by apply3dParameters too
+const schema3D = schema3DOptions.extend({
+  prompt: z.string().min(1).max(500).transform(sanitizePrompt)
+});
+const schemaImageTo3D = schema3DOptions.extend({
+  image: z.string().min(1),
+  prompt: z.string().max(500).optional().default("").transform(sanitizePrompt)
+});
+const schemaMultiViewTo3D = schema3DOptions.extend({
+  front: z.string().min(1).optional(),
+  back: z.string().min(1).optional(),
+  left: z.string().min(1).optional(),
+  right: z.string().min(1).optional(),
+  prompt: z.string().max(500).optional().default("").transform(sanitizePrompt)
+}).refine(data => MULTI_VIEW_SLOTS.some(view => data[view]), {
+  message: "At least one view image (front, back, left or right) is required"
+});
+const schemaOperation = z.object({ operationId: z.string().min(1).max(100) });
+const schemaListOperations = z.object({ activeOnly: z.boolean().optional().default(false) });
+const schemaSwitchSpace = z.object({
+  space: z.string().min(1).max(200),
+  space_type: z.string().min(1).transform(value => value.trim().toLowerCase()).optional(),
+  keep_current: z.boolean().optional().default(false)
+});
+const schemaDetectSpaceType = z.object({ space: z.string().min(1).max(200).optional() });
+
+// Input schema properties shared by the 2D generation tools
+const OPTIONS_2D_PROPERTIES = {
+  model: { type: "string", description: "Hugging Face text-to-image model ID (default: MODEL_2D_ID)" },
+  provider: { type: "string", enum: INFERENCE_PROVIDERS, description: "Inference provider serving the model (default: MODEL_2D_PROVIDER)" },
+  width: { type: "integer", minimum: 64, maximum: 2048, multipleOf: 8, description: "Image width in pixels (default: MODEL_2D_WIDTH or model default)" },
+  height: { type: "integer", minimum: 64, maximum: 2048, multipleOf: 8, description: "Image height in pixels (default: MODEL_2D_HEIGHT or model default)" },
+  steps: { type: "integer", minimum: 1, maximum: 100, description: "Inference steps (default: MODEL_2D_STEPS or 50)" },
+  guidance_scale: { type: "number", minimum: 0, maximum: 100, description: "How closely the image follows the prompt (default: MODEL_2D_GUIDANCE_SCALE or model default)" },
+  seed: { type: "integer", minimum: 0, maximum: 10000000, description: "Seed for reproducible results (default: MODEL_2D_SEED or random). The seed used is recorded with the asset." },
+  negative_prompt: { type: "string", description: "What the image should not contain (default: MODEL_2D_NEGATIVE_PROMPT)" },
+  transparent_background: { type: "boolean", description: "Also save a PNG with the white background made transparent; the original is kept (default: MODEL_2D_TRANSPARENT_BACKGROUND or false)" },
+  background_tolerance: { type: "integer", minimum: 0, maximum: 255, description: "How far a color may be from white and still be removed as background (default: MODEL_2D_BACKGROUND_TOLERANCE or 32)" },
+  edge_feather: { type: "integer", minimum: 0, maximum: 10, description: "Width in pixels of the soft edge around the object (default: MODEL_2D_EDGE_FEATHER or 1)" }
+};
+
+// Image-to-image refinement uses the source size and its own default model
+const REFINE_2D_PROPERTIES = Object.fromEntries(Object.entries({
+  ...OPTIONS_2D_PROPERTIES,
+  model: { type: "string", description: "Hugging Face image-to-image model ID (default: MODEL_2D_REFINE_ID)" },
+  provider: { type: "string", enum: INFERENCE_PROVIDERS, description: "Inference provider serving the model (default: MODEL_2D_REFINE_PROVIDER)" }
+}).filter(([key]) => key !== "width" && key !== "height"));
+
+// Input schema properties of the pixel-art options
+const PIXEL_ART_PROPERTIES = {
+  grid_size: { type: "integer", minimum: 8, maximum: 256, description: "Size in pixels of the longest side of the pixel art, e.g. 16, 32 or 64 (default: 32)" },
+  palette: { type: "string", description: "Palette to quantize to: 'pico8', 'nes', 'gameboy', or a .hex/.json/.gpl palette file in the working directory (default: PIXEL_ART_PALETTE, or the original colors)" },
+  colors: { type: "integer", minimum: 2, maximum: 256, description: "Without a palette, reduce the image to this many colors" },
+  dither: { type: "string", enum: DITHER_MODES, description: "Dithering used when reducing colors (default: 'none')" },
+  outline: { type: "boolean", description: "Draw a 1px outline around the sprite (default: false)" },
+  outline_color: { type: "string", description: "Outline color as hex (default: darkest palette color, or black)" },
+  preview_scale: { type: "integer", minimum: 1, maximum: 32, description: "Integer scale of the upscaled preview (default: about 512px)" }
+};
+
+// Input schema properties shared by the 3D generation tools
+const OPTIONS_3D_PROPERTIES = {
+  priority: { type: "integer", description: "Queue priority from -10 to 10; higher runs first when the Space is busy (default: 0)" },
+  wait: { type: "boolean", description: "Wait for the generation to finish and return the models in the result instead of only an operation ID (default: false)" },
+  timeout: { type: "integer", description: "Maximum seconds to wait when wait is true (1-3600, default: 600). If exceeded, the operation ID is returned and generation continues." }
+};
 
 const TOOLS = {
   GENERATE_2D_ASSET: {
@@ -18,7 +239,123 @@ const TOOLS = {
     inputSchema: {
       type: "object",
       properties: {
-        prompt: { type: "string", description: "Text description of the 2D asset (e.g., 'pixel art sword')" }
+        prompt: { type: "string", description: "Text description of the 2D asset (e.g., 'pixel art sword')" },
+        mode: { type: "string", enum: GENERATION_MODES, description: "'object' for an isolated sprite on a white background, 'tile' for a seamless tileable texture (default: 'object')" },
+        tile_size: { type: "integer", minimum: 8, maximum: 512, description: "Tile mode only: also slice the texture into a tileset of tiles this many pixels wide and high" },
+        tileset_columns: { type: "integer", minimum: 1, maximum: 64, description: "Tile mode only: resize the texture to this many tiles per row before slicing (default: as many as fit)" },
+        pixelize: { type: "boolean", description: "Also save a pixel-art version using the pixel-art options below (default: false)" },
+        upscale: { type: "integer", minimum: 1, maximum: 8, description: "Also save a version upscaled by this factor, e.g. 2 or 4; 1 disables it (default: MODEL_2D_UPSCALE or 1)" },
+        upscale_method: { type: "string", enum: UPSCALE_METHODS, description: "Upscaling method: 'nearest' for pixel art, 'lanczos', or 'space' for the AI upscaler in UPSCALE_SPACE (default: MODEL_2D_UPSCALE_METHOD or 'lanczos')" },
+        ...PIXEL_ART_PROPERTIES,
+        ...OPTIONS_2D_PROPERTIES
+      },
+      required: ["prompt"]
+    },
+  },
+  REFINE_2D_ASSET: {
+    name: "refine_2d_asset",
+    description: "Refine an existing image with image-to-image generation, guided by a prompt. With variations > 1, produces that many versions with consecutive seeds. Results are saved as children of the source asset.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The source image as an asset:// URI (or base64 data, or a PNG/JPEG path inside the working directory)" },
+        prompt: { type: "string", description: "Description of the desired result (e.g., 'pixel art sword with a golden hilt')" },
+        strength: { type: "number", minimum: 0, maximum: 1, description: "How much the source may change, from 0 (keep) to 1 (ignore it) (default: MODEL_2D_REFINE_STRENGTH or 0.5)" },
+        variations: { type: "integer", minimum: 1, maximum: 8, description: "Number of versions to produce, each with the next seed (default: 1)" },
+        ...REFINE_2D_PROPERTIES
+      },
+      required: ["image", "prompt"]
+    },
+  },
+  EDIT_2D_ASSET: {
+    name: "edit_2d_asset",
+    description: "Repaint part of an existing image (e.g., fix a sword hilt or recolor a shield) with an inpainting model. The area is given as a mask image or a rectangle/polygon, and the result is blended back onto the original at its original resolution.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The source image as an asset:// URI (or base64 data, or a PNG/JPEG path inside the working directory)" },
+        prompt: { type: "string", description: "Description of the new content of the area (e.g., 'golden sword hilt')" },
+        mask: { type: "string", description: "Mask image in the same formats as image; white marks the area to repaint. Resized to the source size." },
+        rect: {
+          type: "object",
+          description: "Rectangle to repaint, in source image pixels",
+          properties: {
+            x: { type: "integer" },
+            y: { type: "integer" },
+            width: { type: "integer" },
+            height: { type: "integer" }
+          },
+          required: ["x", "y", "width", "height"]
+        },
+        polygon: {
+          type: "array",
+          description: "Polygon to repaint, as [x, y] points in source image pixels (at least 3)",
+          items: { type: "array", items: { type: "number" }, minItems: 2, maxItems: 2 }
+        },
+        strength: { type: "number", minimum: 0, maximum: 1, description: "How much the masked area may change (default: model default)" },
+        mask_feather: { type: "integer", minimum: 0, maximum: 32, description: "Width in pixels of the blend at the mask border (default: 4)" },
+        ...REFINE_2D_PROPERTIES,
+        model: { type: "string", description: "Hugging Face inpainting model ID (default: MODEL_2D_INPAINT_ID)" },
+        provider: { type: "string", enum: INFERENCE_PROVIDERS, description: "Inference provider serving the model (default: MODEL_2D_INPAINT_PROVIDER)" }
+      },
+      required: ["image", "prompt"]
+    },
+  },
+  UPSCALE_IMAGE: {
+    name: "upscale_image",
+    description: "Upscale an image (e.g., a 2D asset or a 3d_image) by 2x, 4x or another factor, for hi-DPI builds. Uses nearest-neighbour for pixel art, lanczos, or an AI upscaler space. The result may have at most 4096x4096 pixels.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The image as an asset:// URI, base64 data (or a data:image/...;base64 URL), or a PNG/JPEG path inside the working directory" },
+        scale: { type: "integer", minimum: 2, maximum: 8, description: "Scale factor (default: 2)" },
+        method: { type: "string", enum: UPSCALE_METHODS, description: "'nearest' (pixel art), 'lanczos', or 'space' for the AI upscaler in UPSCALE_SPACE (default: MODEL_2D_UPSCALE_METHOD or 'lanczos')" }
+      },
+      required: ["image"]
+    },
+  },
+  PIXELIZE_2D_ASSET: {
+    name: "pixelize_2d_asset",
+    description: "Turn an image into pixel art: nearest-neighbour downscale to a small grid, optional palette quantization (PICO-8, NES, Game Boy or a palette file), dithering and 1px outline. Saves the pixel art and an upscaled preview.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The image as an asset:// URI, base64 data (or a data:image/...;base64 URL), or a PNG/JPEG path inside the working directory" },
+        ...PIXEL_ART_PROPERTIES
+      },
+      required: ["image"]
+    },
+  },
+  SLICE_TILESET: {
+    name: "slice_tileset",
+    description: "Slice an existing image into a grid of fixed-size tiles, saved as a tileset PNG with a JSON index of the tile rects.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The image as an asset:// URI, base64 data (or a data:image/...;base64 URL), or a PNG/JPEG path inside the working directory" },
+        tile_size: { type: "integer", minimum: 8, maximum: 512, description: "Width and height of each tile in pixels" },
+        columns: { type: "integer", minimum: 1, maximum: 64, description: "Resize the image to this many tiles per row before slicing (default: as many as fit)" },
+        make_seamless: { type: "boolean", description: "Make the image seamlessly tileable before slicing (default: false)" }
+      },
+      required: ["image", "tile_size"]
+    },
+  },
+  GENERATE_SPRITE_SHEET: {
+    name: "generate_sprite_sheet",
+    description: "Generate the frames of an animation (e.g., a walk cycle) with a shared seed and style, and pack them into a sprite sheet PNG with a JSON file describing each frame.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        prompt: { type: "string", description: "Text description of the character or object (e.g., 'pixel art knight')" },
+        animation: { type: "string", description: "Name of the animation (e.g., 'walk cycle', 'idle', 'attack')" },
+        frames: { type: "integer", minimum: 2, maximum: 16, description: "Number of frames (default: 4)" },
+        frame_prompts: { type: "array", items: { type: "string" }, description: "Optional description of each frame, in order (e.g., ['left foot forward', 'feet together', ...])" },
+        cell_width: { type: "integer", minimum: 8, maximum: 1024, description: "Width of each cell of the sheet in pixels (default: 128)" },
+        cell_height: { type: "integer", minimum: 8, maximum: 1024, description: "Height of each cell of the sheet in pixels (default: 128)" },
+        columns: { type: "integer", minimum: 1, maximum: 16, description: "Cells per row (default: a near-square grid)" },
+        frame_duration: { type: "integer", minimum: 10, maximum: 10000, description: "Duration of every frame in milliseconds (default: 100)" },
+        frame_durations: { type: "array", items: { type: "integer" }, description: "Duration of each frame in milliseconds, overriding frame_duration" },
+        ...OPTIONS_2D_PROPERTIES
       },
       required: ["prompt"]
     },
@@ -29,58 +366,554 @@ const TOOLS = {
     inputSchema: {
       type: "object",
       properties: {
-        prompt: { type: "string", description: "Text description of the 3D asset (e.g., 'isometric 3D castle')" }
+        prompt: { type: "string", description: "Text description of the 3D asset (e.g., 'isometric 3D castle')" },
+        ...OPTIONS_3D_PROPERTIES
       },
       required: ["prompt"]
     },
   },
+  IMAGE_TO_3D: {
+    name: "image_to_3d",
+    description: "Generate a 3D game asset (OBJ/GLB model) from an existing image, such as concept art, skipping the text-to-image step.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        image: { type: "string", description: "The image as an asset:// URI, base64 data (or a data:image/...;base64 URL), or a PNG/JPEG path inside the working directory" },
+        prompt: { type: "string", description: "Optional description of the object, used as a caption by spaces that accept one" },
+        ...OPTIONS_3D_PROPERTIES
+      },
+      required: ["image"]
+    },
+  },
+  MULTIVIEW_TO_3D: {
+    name: "multiview_to_3d",
+    description: "Generate a 3D game asset from up to four views of the same object (front, back, left, right), such as a character turnaround. Requires a Hunyuan3D-2mini-Turbo space with multi-view support.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        front: { type: "string", description: "Front view as an asset:// URI, base64 data, or an image path inside the working directory" },
+        back: { type: "string", description: "Back view (same formats as front)" },
+        left: { type: "string", description: "Left view (same formats as front)" },
+        right: { type: "string", description: "Right view (same formats as front)" },
+        prompt: { type: "string", description: "Optional description of the object" },
+        ...OPTIONS_3D_PROPERTIES
+      }
+    },
+  },
+  GET_OPERATION_STATUS: {
+    name: "get_operation_status",
+    description: "Get the current status of a long-running operation (e.g., a 3D asset generation), including its phase, retry state, elapsed time and the resulting asset URIs or error.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operationId: { type: "string", description: "Operation ID returned when the operation was started (e.g., '3D-1')" }
+      },
+      required: ["operationId"]
+    },
+  },
+  CANCEL_OPERATION: {
+    name: "cancel_operation",
+    description: "Cancel an in-flight operation (e.g., a 3D asset generation). Pending retries and waits are abandoned and the operation is marked as CANCELLED.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operationId: { type: "string", description: "Operation ID returned when the operation was started (e.g., '3D-1')" }
+      },
+      required: ["operationId"]
+    },
+  },
+  LIST_OPERATIONS: {
+    name: "list_operations",
+    description: "List known operations and their current status.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        activeOnly: { type: "boolean", description: "Only list operations that are still in progress (default: false)" }
+      }
+    },
+  },
+  // Admin tools, only offered when ADMIN_TOOLS=true
+  LIST_SPACES: {
+    name: "list_spaces",
+    description: "List the model spaces: the primary space that defines the 3D tools, the spaces 3D jobs are routed to with their health, the configured spaces and the available space types.",
+    inputSchema: {
+      type: "object",
+      properties: {}
+    },
+  },
+  SWITCH_SPACE: {
+    name: "switch_space",
+    description: "Connect to a different model space and make it the primary space for 3D generation. The 3D tools are updated for its type and clients are notified that the tool list changed. Jobs already running finish on their space.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        space: { type: "string", description: "The space to connect to, as 'username/space-name' (e.g., 'your-username/Hunyuan3D-2')" },
+        space_type: { type: "string", description: "Type of the space (e.g., 'hunyuan3d'); detected from its endpoints when omitted" },
+        keep_current: { type: "boolean", description: "Keep routing jobs to the current primary space as well instead of removing it (default: false)" }
+      },
+      required: ["space"]
+    },
+  },
+  DETECT_SPACE_TYPE: {
+    name: "detect_space_type",
+    description: "Detect the type of a connected model space again, e.g. after the space was updated. The 3D tools are updated if the type of the primary space changed.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        space: { type: "string", description: "The connected space to detect (default: the primary space)" }
+      }
+    },
+  },
 };
 
-export function registerToolHandlers(server, config, clients, notifyResourceListChanged) {
-  const { inferenceClient, modelClient, modelSpace, spaceType } = clients;
-  const {
-    assetsDir,
-    workDir,
-    hfToken,
-    model3dSteps,
-    model3dGuidanceScale,
-    model3dOctreeResolution,
-    model3dSeed,
-    model3dRemoveBackground,
-    model3dTurboMode,
-    validTurboModes
-  } = config;
+// Embed saved assets in a tool result so clients get the files without a separate resource read
+async function embedAssets(saveResults) {
+  const uniqueResults = saveResults.filter((result, index) =>
+    saveResults.findIndex(other => other.filePath === result.filePath) === index
+  );
+  return await Promise.all(uniqueResults.map(async ({ filePath, resourceUri }) => ({
+    type: "resource",
+    resource: {
+      uri: resourceUri,
+      mimeType: getMimeType(filePath),
+      blob: (await fs.readFile(filePath)).toString("base64")
+    }
+  })));
+}
+
+export function registerToolHandlers(server, config, clients, notifyResourceListChanged, notifyToolListChanged) {
+  const { inferenceClient, imageProvider } = clients;
+  // The primary model space, which defines the 3D tools; replaced at runtime by switch_space and detect_space_type
+  let { modelClient, modelSpace, spaceType } = clients;
+  let switchingSpace = false;
+  // Generation parameters (model3d*) are read per job, with per-call overrides applied
+  const { assetsDir, workDir, hfToken } = config;
   
-  let operationCounter = 0;
+  // Add the per-call parameters of the connected space to a 3D tool definition
+  const with3dParameters = (tool) => ({
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: { ...tool.inputSchema.properties, ...build3dParameterProperties(spaceType, config) }
+    }
+  });
+
+  // Load the image argument of a 2D tool, reporting unreadable images as invalid parameters
+  const resolveImageArgument = async (image) => {
+    try {
+      return await resolveImageInput(image, workDir, assetsDir);
+    } catch (error) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Invalid image: ${error.message}`
+      };
+    }
+  };
+
+  // Path that derived images are saved next to: the asset itself, or a copy of an image given another way
+  const resolveSourcePath = async (image, imageBuffer, toolName) => {
+    if (image.startsWith("asset://")) {
+      return resolveAssetPath(image, assetsDir);
+    }
+    const copy = await saveFileFromData(await sharp(imageBuffer).png().toBuffer(), "2d_source", "png", toolName, assetsDir, hfToken, modelSpace, workDir);
+    return copy.filePath;
+  };
+
+  // Turn the pixel-art arguments of a tool into pixelize options, loading the palette
+  const resolvePixelArtOptions = async ({ grid_size, palette, colors, dither, outline, outline_color, preview_scale }) => {
+    const paletteName = palette ?? config.pixelArtPalette;
+    try {
+      return {
+        gridSize: grid_size,
+        palette: paletteName ? await loadPalette(paletteName, workDir) : null,
+        paletteName: paletteName || null,
+        colors: colors ?? null,
+        dither,
+        outline,
+        outlineColor: outline_color ? parseHexColor(outline_color) : null,
+        previewScale: preview_scale ?? null
+      };
+    } catch (error) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: error.message
+      };
+    }
+  };
+
+  // Record a status in both the in-memory operation history and the durable job store
+  const setOperationStatus = async (toolName, operationId, status, details = {}) => {
+    await logOperation(toolName, operationId, status, details, workDir);
+    await updateJobStatus(operationId, status, details);
+  };
+
+  /**
+   * Run the text-to-3D pipeline for a job. Steps whose artifacts were recorded
+   * by an earlier run (e.g., before a server restart) are skipped.
+   * @returns {Promise<Object>} { status, message, result } - never rejects
+   */
+  const run3dJob = async (job, signal) => {
+    const { id: operationId, toolName, inputs: { prompt, priority = 0, parameters = {} } } = job;
+    const enhancedPrompt = `${prompt}, high detailed, complete object, not cut off, white solid background`;
+
+    // Per-call parameters were validated when the job was created
+    let jobConfig = config;
+    // The space the job was last scheduled on, which errors are reported for
+    let jobSpace = null;
+
+    try {
+      const artifacts = await getExistingArtifacts(job);
+      let imagePath = artifacts["3d_image"];
+
+      if (imagePath) {
+        await log('INFO', `Operation ${operationId} using existing image: ${imagePath}`, workDir);
+      } else {
+        await log('DEBUG', `Enhanced 3D prompt: "${enhancedPrompt}"`, workDir);
+        await reportOperationProgress(operationId, 5, "Generating initial image");
+        
+        // Generate like generate_2d_asset, through the configured image provider with the 2D settings,
+        // but with the LoRA for 3D input images (used on Hugging Face; local servers use their own model)
+        await log('DEBUG', `Using the ${imageProvider.name} image provider with retry logic for 3D asset generation...`, workDir);
+        const imageSettings = {
+          ...resolve2dSettings({}, config),
+          model: "gokaygokay/Flux-Game-Assets-LoRA-v2",
+          steps: 30 // Reduced steps for faster processing
+        };
+        
+        const image = await retryWithBackoff(async () => {
+          return await generate2dImage(imageProvider, enhancedPrompt, imageSettings, { signal });
+        }, operationId, 3, 10000, signal); // 3 retries, 10s initial delay
+        
+        if (!image) {
+          throw new Error("No image returned from 3D asset generation API");
+        }
+        
+        await log('DEBUG', `Successfully received image from the ${imageProvider.name} image provider`, workDir);
+        
+        // Save the image (which is a Blob)
+        // Detect the actual image format (JPEG or PNG)
+        const imageBuffer = await image.arrayBuffer();
+        const format = detectImageFormat(Buffer.from(imageBuffer));
+        const extension = format === "JPEG" ? "jpg" : "png";
+        
+        await log('DEBUG', `Detected 3D image format: ${format}, using extension: ${extension}`, workDir);
+        const saveResult = await saveFileFromData(image, "3d_image", extension, toolName, assetsDir, hfToken, modelSpace, workDir);
+        imagePath = saveResult.filePath;
+        await recordJobArtifact(operationId, "3d_image", imagePath);
+        await log('INFO', `3D image generated at: ${imagePath}`, workDir);
+      }
+      await setOperationStatus(toolName, operationId, 'PROCESSING', { step: 'Initial image generated', path: imagePath });
+      await reportOperationProgress(operationId, 20, "Initial image generated");
+      
+      // Read the image file for processing
+      const imageFile = await fs.readFile(imagePath);
+      
+      // Log critical parameters before processing
+      await log('DEBUG', `Critical parameters check before processing:`, workDir);
+      await log('DEBUG', `- assetsDir: ${assetsDir ? assetsDir : 'undefined'}`, workDir);
+      await log('DEBUG', `- toolName: ${toolName ? toolName : 'undefined'}`, workDir);
+      await log('DEBUG', `- spaceType: ${spaceType ? spaceType : 'undefined'}`, workDir);
+      await log('DEBUG', `- workDir: ${workDir ? workDir : 'undefined'}`, workDir);
+      
+      // Validate assetsDir before proceeding
+      if (!assetsDir || typeof assetsDir !== "string") {
+        throw new Error("assetsDir is undefined or not a string in tools.js");
+      }
+      
+      // Spaces that can run the job: multi-view jobs need a space with multi-view support, and the
+      // per-call parameters must be valid for the space type
+      const multiViewSpaces = toolName === TOOLS.MULTIVIEW_TO_3D.name ? new Set(await listMultiViewSpaces()) : null;
+      const acceptsJob = (space) => {
+        if (multiViewSpaces && !multiViewSpaces.has(space.name)) {
+          return false;
+        }
+        try {
+          apply3dParameters(space.spaceType, parameters, config);
+          return true;
+        } catch {
+          return false;
+        }
+      };
+      
+      // Process the 3D asset on a model space, waiting for a free slot and moving to the next
+      // space if it fails (see spacePool.js)
+      const { result } = await runOnSpacePool(operationId, async (space, retry) => {
+        await setOperationStatus(toolName, operationId, 'PROCESSING', { step: 'Processing with workflow', spaceType: space.spaceType, space: space.name });
+        await reportOperationProgress(operationId, 25, `Processing with ${space.spaceType} workflow on ${space.name}`);
+        
+        // Intermediate images of an earlier attempt or run are only reused on a space of the type that produced them
+        const spaceArtifacts = await getExistingArtifacts(job, { spaceType: space.spaceType });
+        jobConfig = apply3dParameters(space.spaceType, parameters, config);
+        
+        return await process3dAsset({
+          spaceType: space.spaceType,
+          modelClient: space.client,
+          imageFile,
+          imagePath,
+          prompt,
+          operationId,
+          toolName,
+          assetsDir,
+          hfToken,
+          modelSpace: space.name,
+          workDir,
+          config: jobConfig,
+          retryWithBackoff: retry,
+          notifyResourceListChanged,
+          signal,
+          artifacts: spaceArtifacts
+        });
+      }, {
+        accepts: acceptsJob,
+        priority,
+        signal,
+        workDir,
+        onScheduled: async (space) => {
+          jobSpace = space;
+          const queued = getQueuePosition(operationId);
+          if (queued) {
+            await setOperationStatus(toolName, operationId, 'QUEUED', { space: queued.space, queuePosition: queued.position });
+            await reportOperationProgress(operationId, null, `Queued for ${queued.space} (position ${queued.position})`);
+          }
+        }
+      });
+      
+      // Create a completion message with detailed information
+      const completionMessage = `3D asset generation complete (Operation ID: ${operationId}).\n\n` +
+                               `Process completed in ${Math.round((Date.now() - new Date(global.operationUpdates[operationId][0].timestamp).getTime()) / 1000)} seconds.\n\n` +
+                               `3D models available at:\n` +
+                               `- OBJ: ${result.objResult.resourceUri}\n` +
+                               `- GLB: ${result.glbResult.resourceUri}\n\n` +
+                               `You can view these models in any 3D viewer that supports OBJ or GLB formats.`;
+      
+      await setOperationStatus(toolName, operationId, 'COMPLETED', {
+        objPath: result.objResult.filePath,
+        glbPath: result.glbResult.filePath,
+        objUri: result.objResult.resourceUri,
+        glbUri: result.glbResult.resourceUri,
+        processingTime: `${Math.round((Date.now() - new Date(global.operationUpdates[operationId][0].timestamp).getTime()) / 1000)} seconds`
+      });
+      
+      await reportOperationProgress(operationId, 100, "3D asset generation complete");
+      
+      // Log the completion
+      await log('INFO', `Operation ${operationId} completed successfully. Final response ready.`, workDir);
+      await log('INFO', `Completion message for client:\n${completionMessage}`, workDir);
+      
+      return { status: 'COMPLETED', message: completionMessage, result };
+    } catch (error) {
+      if (signal.aborted) {
+        await setOperationStatus(toolName, operationId, 'CANCELLED', {
+          reason: signal.reason.message,
+          phase: global.operationUpdates[operationId][global.operationUpdates[operationId].length - 1].status
+        });
+        return { status: 'CANCELLED', message: `3D asset generation was cancelled (Operation ID: ${operationId}).` };
+      }
+      
+      const errorMessage = `Error in 3D asset generation (Operation ID: ${operationId}):\n${error.message}\n\nThe operation has been terminated. Please try again later or with a different prompt.`;
+      
+      // Use the enhanced error logging function
+      await logDetailedError(error, operationId, workDir, {
+        prompt,
+        enhancedPrompt,
+        spaceType: jobSpace ? jobSpace.spaceType : spaceType,
+        modelSpace: jobSpace ? jobSpace.name : modelSpace,
+        phase: global.operationUpdates[operationId] ?
+               global.operationUpdates[operationId][global.operationUpdates[operationId].length - 1].status :
+               'UNKNOWN',
+        parameters: {
+          steps: jobConfig.model3dSteps,
+          guidanceScale: jobConfig.model3dGuidanceScale,
+          seed: jobConfig.model3dSeed,
+          octreeResolution: jobConfig.model3dOctreeResolution,
+          removeBackground: jobConfig.model3dRemoveBackground,
+          turboMode: jobConfig.model3dTurboMode
+        }
+      });
+      await updateJobStatus(operationId, 'ERROR', { error: error.message });
+      
+      // Log the error message for the client
+      await log('INFO', `Error message for client:\n${errorMessage}`, workDir);
+      
+      return { status: 'ERROR', message: errorMessage };
+    } finally {
+      releaseOperation(operationId);
+      releaseJobSlot(operationId);
+    }
+  };
+
+  /**
+   * Create a 3D job, start its pipeline in the background and build the tool result
+   * @param {string} toolName - The tool starting the job
+   * @param {Object} inputs - Validated inputs stored with the job (prompt, priority, parameters)
+   * @param {Object} options
+   * @param {boolean} options.wait - Wait for the pipeline to finish, up to options.timeout seconds
+   * @param {string|number} options.progressToken - The request's progressToken, if any
+   * @param {Function} options.sendNotification - The request-scoped sendNotification, for progress in wait mode
+   * @param {Object} options.artifacts - Input files recorded as job artifacts, keyed by kind;
+   *   a "3d_image" artifact is used instead of generating an image from the prompt
+   */
+  const start3dJob = async (toolName, inputs, { wait = false, timeout = 600, progressToken, sendNotification, artifacts = {} } = {}) => {
+    // Reject new work instead of piling up behind saturated Spaces. The place is taken before the job is
+    // created, so calls arriving while earlier jobs are still generating their image count too.
+    const reservationId = `pending-${crypto.randomUUID()}`;
+    if (!reserveJobSlot(reservationId)) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidRequest,
+        message: `The 3D generation queue for ${listSpaces().map(({ name }) => name).join(", ")} is full. Please try again once running operations have finished.`
+      };
+    }
+
+    let job;
+    try {
+      job = await createJob("3D", toolName, inputs);
+    } finally {
+      releaseJobSlot(reservationId);
+    }
+    reserveJobSlot(job.id, { force: true });
+    const operationId = job.id;
+    await logOperation(toolName, operationId, 'STARTED', {}, workDir);
+    for (const [kind, filePath] of Object.entries(artifacts)) {
+      await recordJobArtifact(operationId, kind, filePath);
+    }
+    const signal = createOperationSignal(operationId);
+    // Progress is only sent while the request waits for the job; without wait the request ends right away
+    if (wait) {
+      setOperationProgressReporter(operationId, createProgressReporter(sendNotification, progressToken, workDir));
+    }
+
+    // Run the pipeline in the background; its progress is recorded in the job store
+    const jobPromise = run3dJob(job, signal);
+
+    if (wait) {
+      // Await the pipeline up to the deadline, then fall back to the asynchronous response
+      let timer;
+      const deadline = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), timeout * 1000);
+      });
+      const outcome = await Promise.race([jobPromise, deadline]);
+      clearTimeout(timer);
+
+      if (outcome) {
+        const content = [{ type: "text", text: outcome.message }];
+        if (outcome.status === 'COMPLETED') {
+          content.push(...await embedAssets([outcome.result.objResult, outcome.result.glbResult]));
+        }
+        return {
+          content,
+          isError: outcome.status !== 'COMPLETED',
+          metadata: { operationId }
+        };
+      }
+
+      // The request ends here, so the job must not keep sending progress for it
+      removeOperationProgressReporter(operationId);
+      await log('INFO', `Operation ${operationId} did not finish within ${timeout} seconds, returning operation ID`, workDir);
+    }
+
+    // Return the initial response immediately to prevent timeout
+    return {
+      content: [
+        {
+          type: "text",
+          text: `${wait ? `3D asset generation is still running after ${timeout} seconds` : "Starting 3D asset generation"} (Operation ID: ${operationId})...\n\n` +
+                `This process may take several minutes. Use the get_operation_status tool ` +
+                `(or read operation://${operationId}) to check progress.`
+        }
+      ],
+      isError: false,
+      metadata: { operationId }
+    };
+  };
+
+  // Pipelines that can be resumed from the job store, keyed by the tool that started the job
+  const jobRunners = {
+    [TOOLS.GENERATE_3D_ASSET.name]: run3dJob,
+    [TOOLS.IMAGE_TO_3D.name]: run3dJob,
+    [TOOLS.MULTIVIEW_TO_3D.name]: run3dJob
+  };
+
+  // Resume jobs that were interrupted by a server restart
+  const resumeUnfinishedJobs = async () => {
+    for (const job of listUnfinishedJobs()) {
+      const runJob = jobRunners[job.toolName];
+      if (!runJob) {
+        await log('WARN', `No runner for unfinished job ${job.id} (${job.toolName}), skipping`, workDir);
+        continue;
+      }
+      await logOperation(job.toolName, job.id, 'RESUMED', { artifacts: Object.keys(job.artifacts).join(", ") || "none" }, workDir);
+      reserveJobSlot(job.id, { force: true });
+      runJob(job, createOperationSignal(job.id));
+    }
+  };
 
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
-    tools: [TOOLS.GENERATE_2D_ASSET, TOOLS.GENERATE_3D_ASSET],
+    tools: [
+      TOOLS.GENERATE_2D_ASSET,
+      TOOLS.GENERATE_SPRITE_SHEET,
+      TOOLS.SLICE_TILESET,
+      TOOLS.REFINE_2D_ASSET,
+      TOOLS.EDIT_2D_ASSET,
+      TOOLS.PIXELIZE_2D_ASSET,
+      TOOLS.UPSCALE_IMAGE,
+      with3dParameters(TOOLS.GENERATE_3D_ASSET),
+      with3dParameters(TOOLS.IMAGE_TO_3D),
+      // Multi-view input is only offered by backends that declare it (e.g., Hunyuan3D-2mini-Turbo)
+      ...(getBackend(spaceType)?.supportsMultiView ? [with3dParameters(TOOLS.MULTIVIEW_TO_3D)] : []),
+      TOOLS.GET_OPERATION_STATUS,
+      TOOLS.LIST_OPERATIONS,
+      TOOLS.CANCEL_OPERATION,
+      ...(config.adminTools ? [TOOLS.LIST_SPACES, TOOLS.SWITCH_SPACE, TOOLS.DETECT_SPACE_TYPE] : [])
+    ],
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
-    const { name, arguments: args } = request.params;
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+    const { name, arguments: args, _meta } = request.params;
     await log("INFO", `Calling tool: ${name}`, workDir);
 
     try {
       if (name === TOOLS.GENERATE_2D_ASSET.name) {
-        const { prompt } = schema2D.parse(args);
+        const {
+          prompt, mode, tile_size, tileset_columns, pixelize, upscale, upscale_method,
+          grid_size, palette, colors, dither, outline, outline_color, preview_scale,
+          ...overrides
+        } = schema2D.parse(args);
         if (!prompt) {
           throw new Error("Invalid or empty prompt");
         }
-        await log('INFO', `Generating 2D asset with prompt: "${prompt}"`, workDir);
+        const upscaleOptions = {
+          scale: upscale ?? config.model2dUpscale,
+          method: upscale_method ?? config.model2dUpscaleMethod
+        };
+        if (upscaleOptions.scale > 1 && upscaleOptions.method === "space" && !config.upscaleSpace) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: "The 'space' upscale method requires UPSCALE_SPACE to be configured"
+          };
+        }
+        // Load the palette before generating so a bad palette fails fast
+        const pixelArtOptions = pixelize
+          ? await resolvePixelArtOptions({ grid_size, palette, colors, dither, outline, outline_color, preview_scale })
+          : null;
+        await log('INFO', `Generating 2D asset (${mode} mode) with prompt: "${prompt}"`, workDir);
         
-        // Use the Hugging Face Inference API to generate the image
-        await log('DEBUG', "Calling Hugging Face Inference API for 2D asset generation...", workDir);
-        // Enhance the prompt to specify high detail, complete object, and white background
-        const enhancedPrompt = `${prompt}, high detailed, complete object, not cut off, white solid background`;
+        // Use the configured image provider to generate the image
+        await log('DEBUG', `Calling the ${imageProvider.name} image provider for 2D asset generation...`, workDir);
+        // Enhance the prompt for the mode (isolated object on white, or edge-to-edge texture)
+        const enhancedPrompt = build2dPrompt(prompt, mode);
         await log('DEBUG', `Enhanced 2D prompt: "${enhancedPrompt}"`, workDir);
         
-        const image = await inferenceClient.textToImage({
-          model: "gokaygokay/Flux-2D-Game-Assets-LoRA",
-          inputs: enhancedPrompt,
-          parameters: { num_inference_steps: 50 },
-          provider: "hf-inference",
-        });
+        const settings = resolve2dSettings(overrides, config);
+        // Check the upscaled size before spending a generation on it
+        const upscaleTooLarge = upscaleOptions.scale > 1 && checkUpscaleDimensions(settings.width, settings.height, upscaleOptions.scale);
+        if (upscaleTooLarge) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: upscaleTooLarge
+          };
+        }
+        await log('DEBUG', `2D generation settings: ${JSON.stringify(settings)}`, workDir);
+        const image = await generate2dImage(imageProvider, enhancedPrompt, settings);
         
         if (!image) {
           throw new Error("No image returned from 2D asset generation API");
@@ -96,165 +929,588 @@ export function registerToolHandlers(server, config, clients, notifyResourceList
         const saveResult = await saveFileFromData(image, "2d_asset", extension, name, assetsDir, hfToken, modelSpace, workDir);
         await log('INFO', `2D asset saved at: ${saveResult.filePath}`, workDir);
         
+        const lines = [];
+        const derived = {};
+        // The latest processed version of the image, used as the input of pixel-art conversion
+        let processedBuffer = Buffer.from(imageBuffer);
+        if (mode === "tile") {
+          // Blend the edges so the texture repeats without visible seams, then check the result
+          const seamlessBuffer = await makeSeamless(Buffer.from(imageBuffer));
+          const seamlessResult = await saveDerivedAsset(saveResult.filePath, "seamless", seamlessBuffer, workDir);
+          const seams = await measureSeams(seamlessBuffer);
+          await log(seams.seamless ? 'INFO' : 'WARN', `Seam check for ${seamlessResult.filePath}: ${JSON.stringify(seams)}`, workDir);
+          derived.seamlessAsset = path.basename(seamlessResult.filePath);
+          derived.seams = seams;
+          processedBuffer = seamlessBuffer;
+          lines.push(`Seamless texture available at ${seamlessResult.resourceUri} (original: ${saveResult.resourceUri})`);
+          lines.push(seams.seamless
+            ? "Seam check passed."
+            : `Seam check: edges still differ from the interior (horizontal ratio ${seams.horizontal}, vertical ratio ${seams.vertical}); the texture may show seams.`);
+          
+          if (tile_size) {
+            const { tileset, index, columns, rows } = await saveTileset(saveResult.filePath, seamlessBuffer, { tileSize: tile_size, columns: tileset_columns }, workDir);
+            derived.tilesetAsset = path.basename(tileset.filePath);
+            lines.push(`Tileset of ${columns}x${rows} ${tile_size}px tiles available at ${tileset.resourceUri}, index at ${index.resourceUri}`);
+          }
+        } else if (settings.transparentBackground) {
+          // Matte out the white background the prompt asks for, keeping the original
+          const transparentResult = await makeBackgroundTransparent(saveResult.filePath, settings, workDir);
+          await log('INFO', `Transparent 2D asset saved at: ${transparentResult.filePath}`, workDir);
+          derived.transparentAsset = path.basename(transparentResult.filePath);
+          processedBuffer = await fs.readFile(transparentResult.filePath);
+          lines.push(`2D asset available at ${transparentResult.resourceUri} (original with white background: ${saveResult.resourceUri})`);
+        } else {
+          lines.push(`2D asset available at ${saveResult.resourceUri}`);
+        }
+        
+        if (upscaleOptions.scale > 1) {
+          const upscaled = await upscaleImage(processedBuffer, upscaleOptions, config, null, extra.signal);
+          const upscaledResult = await saveDerivedAsset(saveResult.filePath, `x${upscaleOptions.scale}`, upscaled, workDir);
+          derived.upscaledAsset = path.basename(upscaledResult.filePath);
+          derived.upscale = upscaleOptions;
+          lines.push(`${upscaleOptions.scale}x upscaled version (${upscaleOptions.method}) available at ${upscaledResult.resourceUri}`);
+        }
+        
+        if (pixelArtOptions) {
+          const { pixelArt, preview, width, height } = await savePixelArt(saveResult.filePath, processedBuffer, pixelArtOptions, workDir);
+          derived.pixelArtAsset = path.basename(pixelArt.filePath);
+          derived.pixelArt = {
+            gridSize: pixelArtOptions.gridSize,
+            palette: pixelArtOptions.paletteName,
+            colors: pixelArtOptions.colors,
+            dither: pixelArtOptions.dither,
+            outline: pixelArtOptions.outline
+          };
+          lines.push(`Pixel art (${width}x${height}) available at ${pixelArt.resourceUri}, upscaled preview at ${preview.resourceUri}`);
+        }
+        
+        // Record the values used so the asset can be reproduced
+        const metadataResult = await saveAssetMetadata(saveResult.filePath, {
+          tool: name,
+          mode,
+          prompt,
+          enhancedPrompt,
+          ...settings,
+          ...derived,
+          createdAt: new Date().toISOString()
+        }, workDir);
+        lines.push(`Generation settings (model ${settings.model}, seed ${settings.seed}) recorded at ${metadataResult.resourceUri}`);
+        
         // Notify clients that a new resource is available
         await notifyResourceListChanged();
         
         return {
-          content: [{ type: "text", text: `2D asset available at ${saveResult.resourceUri}` }],
+          content: [{ type: "text", text: lines.join("\n") }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.REFINE_2D_ASSET.name) {
+        const { image, prompt, variations, ...overrides } = schemaRefine.parse(args);
+        if (!prompt) {
+          throw new Error("Invalid or empty prompt");
+        }
+        const imageBuffer = await resolveImageArgument(image);
+        const sourcePath = await resolveSourcePath(image, imageBuffer, name);
+        const settings = resolveRefineSettings(overrides, config);
+        await log('INFO', `Refining ${path.basename(sourcePath)} (${variations} variation(s)) with prompt: "${prompt}"`, workDir);
+        
+        // Models expect the white background of generated assets, so fill in any transparency
+        const inputBuffer = await sharp(imageBuffer).flatten({ background: "#ffffff" }).png().toBuffer();
+        const enhancedPrompt = build2dPrompt(prompt);
+        const reportProgress = createProgressReporter(extra.sendNotification, _meta?.progressToken, workDir);
+        
+        const lines = [];
+        const children = [];
+        for (let index = 0; index < variations; index++) {
+          // Variations use consecutive seeds so each one can be reproduced on its own
+          const variationSettings = { ...settings, seed: (settings.seed + index) % 10000001 };
+          if (reportProgress) await reportProgress((index / variations) * 100, `Refining variation ${index + 1} of ${variations}`);
+          const result = await refine2dImage(inferenceClient, inputBuffer, enhancedPrompt, variationSettings);
+          if (!result) {
+            throw new Error("No image returned from image-to-image API");
+          }
+          
+          const childBuffer = await sharp(Buffer.from(await result.arrayBuffer())).png().toBuffer();
+          const suffix = `refined_${variationSettings.seed}_${crypto.randomBytes(2).toString("hex")}`;
+          const child = await saveDerivedAsset(sourcePath, suffix, childBuffer, workDir);
+          let transparentResult = null;
+          if (variationSettings.transparentBackground) {
+            transparentResult = await makeBackgroundTransparent(child.filePath, variationSettings, workDir);
+          }
+          await saveAssetMetadata(child.filePath, {
+            tool: name,
+            parent: path.basename(sourcePath),
+            prompt,
+            enhancedPrompt,
+            ...variationSettings,
+            transparentAsset: transparentResult ? path.basename(transparentResult.filePath) : null,
+            createdAt: new Date().toISOString()
+          }, workDir);
+          
+          children.push({ asset: path.basename(child.filePath), tool: name, prompt, seed: variationSettings.seed, strength: variationSettings.strength });
+          lines.push(transparentResult
+            ? `Variation ${index + 1} (seed ${variationSettings.seed}) available at ${transparentResult.resourceUri} (original: ${child.resourceUri})`
+            : `Variation ${index + 1} (seed ${variationSettings.seed}) available at ${child.resourceUri}`);
+        }
+        
+        await linkChildAssets(sourcePath, children, workDir);
+        if (reportProgress) await reportProgress(100, "Refinement complete");
+        await notifyResourceListChanged();
+        
+        return {
+          content: [{ type: "text", text: [`Refined ${path.basename(sourcePath)} with model ${settings.model}:`, ...lines].join("\n") }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.EDIT_2D_ASSET.name) {
+        const { image, prompt, mask, rect, polygon, mask_feather, ...overrides } = schemaEdit.parse(args);
+        if (!prompt) {
+          throw new Error("Invalid or empty prompt");
+        }
+        const imageBuffer = await resolveImageArgument(image);
+        const { width, height } = await sharp(imageBuffer).metadata();
+        
+        // Build a binary mask at the source resolution
+        const maskSource = mask ? await resolveImageArgument(mask) : renderMask(width, height, { rect, polygon });
+        const { buffer: maskBuffer, coverage } = await normalizeMask(maskSource, width, height);
+        if (coverage === 0) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: "The mask does not cover any part of the image"
+          };
+        }
+        
+        const sourcePath = await resolveSourcePath(image, imageBuffer, name);
+        const settings = resolveInpaintSettings(overrides, config);
+        await log('INFO', `Editing ${Math.round(coverage * 100)}% of ${path.basename(sourcePath)} with prompt: "${prompt}"`, workDir);
+        
+        // Models expect the white background of generated assets, so fill in any transparency
+        const inputBuffer = await sharp(imageBuffer).flatten({ background: "#ffffff" }).png().toBuffer();
+        const result = await inpaint2dImage(inferenceClient, inputBuffer, maskBuffer, prompt, settings);
+        if (!result) {
+          throw new Error("No image returned from inpainting API");
+        }
+        
+        // Keep the original outside the mask, whatever size the model returned
+        let editedBuffer = await compositeWithMask(inputBuffer, Buffer.from(await result.arrayBuffer()), maskBuffer, { feather: mask_feather });
+        const sourceWasTransparent = await hasTransparency(imageBuffer);
+        if (sourceWasTransparent) {
+          editedBuffer = (await removeSolidBackground(editedBuffer, {
+            tolerance: settings.backgroundTolerance,
+            feather: settings.edgeFeather
+          })).buffer;
+        }
+        
+        const child = await saveDerivedAsset(sourcePath, `edited_${crypto.randomBytes(2).toString("hex")}`, editedBuffer, workDir);
+        const maskResult = await saveDerivedAsset(child.filePath, "mask", maskBuffer, workDir);
+        await saveAssetMetadata(child.filePath, {
+          tool: name,
+          parent: path.basename(sourcePath),
+          prompt,
+          mask: path.basename(maskResult.filePath),
+          rect: rect || null,
+          polygon: polygon || null,
+          maskFeather: mask_feather,
+          ...settings,
+          transparent: sourceWasTransparent,
+          createdAt: new Date().toISOString()
+        }, workDir);
+        await linkChildAssets(sourcePath, [{ asset: path.basename(child.filePath), tool: name, prompt, seed: settings.seed }], workDir);
+        await notifyResourceListChanged();
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Edited asset (${width}x${height}) available at ${child.resourceUri}\nMask used: ${maskResult.resourceUri}`
+          }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.UPSCALE_IMAGE.name) {
+        const { image, scale, method = config.model2dUpscaleMethod } = schemaUpscale.parse(args);
+        if (method === "space" && !config.upscaleSpace) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: "The 'space' upscale method requires UPSCALE_SPACE to be configured"
+          };
+        }
+        const imageBuffer = await resolveImageArgument(image);
+        const tooLarge = await checkUpscaleSize(imageBuffer, scale);
+        if (tooLarge) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: tooLarge
+          };
+        }
+        const sourcePath = await resolveSourcePath(image, imageBuffer, name);
+        
+        await log('INFO', `Upscaling ${path.basename(sourcePath)} ${scale}x with ${method}`, workDir);
+        const upscaled = await upscaleImage(imageBuffer, { scale, method }, config, null, extra.signal);
+        const result = await saveDerivedAsset(sourcePath, `x${scale}`, upscaled, workDir);
+        await notifyResourceListChanged();
+        
+        const { width, height } = await sharp(upscaled).metadata();
+        return {
+          content: [{ type: "text", text: `Upscaled image (${width}x${height}, ${method}) available at ${result.resourceUri}` }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.PIXELIZE_2D_ASSET.name) {
+        const { image, ...pixelArgs } = schemaPixelize.parse(args);
+        const options = await resolvePixelArtOptions(pixelArgs);
+        const imageBuffer = await resolveImageArgument(image);
+        const sourcePath = await resolveSourcePath(image, imageBuffer, name);
+        
+        const result = await savePixelArt(sourcePath, imageBuffer, options, workDir);
+        await notifyResourceListChanged();
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Pixel art (${result.width}x${result.height}${options.paletteName ? `, ${options.paletteName} palette` : ""}) available at ${result.pixelArt.resourceUri}\nUpscaled preview available at ${result.preview.resourceUri}`
+          }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.SLICE_TILESET.name) {
+        const { image, tile_size, columns, make_seamless } = schemaSliceTileset.parse(args);
+        
+        let imageBuffer = await resolveImageArgument(image);
+        const { width, height } = await sharp(imageBuffer).metadata();
+        if (!columns && (width < tile_size || height < tile_size)) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Image (${width}x${height}) is smaller than one ${tile_size}px tile`
+          };
+        }
+        
+        const sourcePath = await resolveSourcePath(image, imageBuffer, name);
+        const lines = [];
+        if (make_seamless) {
+          imageBuffer = await makeSeamless(imageBuffer);
+          const seams = await measureSeams(imageBuffer);
+          lines.push(seams.seamless
+            ? "Seam check passed."
+            : `Seam check: edges still differ from the interior (horizontal ratio ${seams.horizontal}, vertical ratio ${seams.vertical}); the texture may show seams.`);
+        }
+        
+        const result = await saveTileset(sourcePath, imageBuffer, { tileSize: tile_size, columns }, workDir);
+        await notifyResourceListChanged();
+        
+        lines.unshift(`Tileset of ${result.columns}x${result.rows} ${tile_size}px tiles available at ${result.tileset.resourceUri}, index at ${result.index.resourceUri}`);
+        return {
+          content: [{ type: "text", text: lines.join("\n") }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.GENERATE_SPRITE_SHEET.name) {
+        const {
+          prompt, animation, frames, frame_prompts, cell_width, cell_height, columns,
+          frame_duration, frame_durations, ...overrides
+        } = schemaSpriteSheet.parse(args);
+        if (!prompt) {
+          throw new Error("Invalid or empty prompt");
+        }
+        await log('INFO', `Generating ${frames}-frame sprite sheet with prompt: "${prompt}"`, workDir);
+        
+        // Every frame uses the same settings, including the seed, to keep the style consistent
+        const settings = resolve2dSettings(overrides, config);
+        const framePrompts = buildFramePrompts(prompt, animation, frames, frame_prompts);
+        const reportProgress = createProgressReporter(extra.sendNotification, _meta?.progressToken, workDir);
+        
+        const frameImages = [];
+        for (let index = 0; index < frames; index++) {
+          await log('DEBUG', `Generating frame ${index + 1}/${frames}: "${framePrompts[index]}"`, workDir);
+          if (reportProgress) await reportProgress((index / frames) * 90, `Generating frame ${index + 1} of ${frames}`);
+          const image = await generate2dImage(imageProvider, framePrompts[index], settings);
+          if (!image) {
+            throw new Error(`No image returned for frame ${index + 1}`);
+          }
+          let frameBuffer = Buffer.from(await image.arrayBuffer());
+          if (settings.transparentBackground) {
+            frameBuffer = (await removeSolidBackground(frameBuffer, {
+              tolerance: settings.backgroundTolerance,
+              feather: settings.edgeFeather
+            })).buffer;
+          }
+          frameImages.push(frameBuffer);
+        }
+        
+        if (reportProgress) await reportProgress(90, "Packing sprite sheet");
+        const sheetColumns = columns ?? Math.ceil(Math.sqrt(frames));
+        const sheet = await packSpriteSheet(frameImages, { cellWidth: cell_width, cellHeight: cell_height, columns: sheetColumns });
+        const saveResult = await saveFileFromData(sheet.buffer, "2d_spritesheet", "png", name, assetsDir, hfToken, modelSpace, workDir);
+        await log('INFO', `Sprite sheet saved at: ${saveResult.filePath}`, workDir);
+        
+        const metadataResult = await saveAssetMetadata(saveResult.filePath, {
+          ...buildSpriteSheetMetadata(sheet, {
+            image: path.basename(saveResult.filePath),
+            prompts: framePrompts,
+            durations: frame_durations ?? Array(frames).fill(frame_duration),
+            animation,
+            columns: sheetColumns
+          }),
+          generation: { tool: name, prompt, ...settings, createdAt: new Date().toISOString() }
+        }, workDir);
+        if (reportProgress) await reportProgress(100, "Sprite sheet complete");
+        
+        await notifyResourceListChanged();
+        
+        return {
+          content: [{
+            type: "text",
+            text: `Sprite sheet (${frames} frames, ${sheetColumns}x${Math.ceil(frames / sheetColumns)} cells of ${cell_width}x${cell_height}) available at ${saveResult.resourceUri}\nFrame metadata available at ${metadataResult.resourceUri}`
+          }],
           isError: false
         };
       }
 
       if (name === TOOLS.GENERATE_3D_ASSET.name) {
-        const operationId = `3D-${++operationCounter}`;
-        await logOperation(name, operationId, 'STARTED', {}, workDir);
+        const { prompt, priority, wait, timeout, ...parameters } = schema3D.parse(args);
+        if (!prompt) {
+          throw new Error("Invalid or empty prompt");
+        }
+
+        // Validate the per-call parameters against the ranges of the connected space
+        apply3dParameters(spaceType, parameters, config);
+
+        await log('INFO', `Generating 3D asset with prompt: "${prompt}"`, workDir);
+        return await start3dJob(name, { prompt, priority, parameters }, { wait, timeout, progressToken: _meta?.progressToken, sendNotification: extra.sendNotification });
+      }
+  
+      if (name === TOOLS.IMAGE_TO_3D.name) {
+        const { image, prompt, priority, wait, timeout, ...parameters } = schemaImageTo3D.parse(args);
+
+        // Validate the per-call parameters against the ranges of the connected space
+        apply3dParameters(spaceType, parameters, config);
 
+        let imageBuffer;
         try {
-          const { prompt } = schema3D.parse(args);
-          if (!prompt) {
-            throw new Error("Invalid or empty prompt");
+          imageBuffer = await resolveImageInput(image, workDir, assetsDir);
+        } catch (error) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Invalid image: ${error.message}`
+          };
+        }
+
+        // Save the input as the job's 3d_image so the pipeline skips text-to-image generation
+        const format = detectImageFormat(imageBuffer);
+        const extension = format === "JPEG" ? "jpg" : "png";
+        const saveResult = await saveFileFromData(imageBuffer, "3d_image", extension, name, assetsDir, hfToken, modelSpace, workDir);
+        await log('INFO', `Input image for 3D generation saved at: ${saveResult.filePath}`, workDir);
+        await notifyResourceListChanged();
+
+        return await start3dJob(name, { prompt, priority, parameters }, {
+          wait,
+          timeout,
+          progressToken: _meta?.progressToken,
+          sendNotification: extra.sendNotification,
+          artifacts: { "3d_image": saveResult.filePath }
+        });
+      }
+
+      if (name === TOOLS.MULTIVIEW_TO_3D.name) {
+        const { prompt, priority, wait, timeout, front, back, left, right, ...parameters } = schemaMultiViewTo3D.parse(args);
+        const views = { front, back, left, right };
+
+        if ((await listMultiViewSpaces()).length === 0) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidRequest,
+            message: `None of the connected spaces (${listSpaces().map(({ name, spaceType: type }) => `${name}: ${type}`).join(", ")}) supports multi-view input. Use a Hunyuan3D-2mini-Turbo space with multi-view support.`
+          };
+        }
+
+        // Validate the per-call parameters against the ranges of the connected space
+        apply3dParameters(spaceType, parameters, config);
+
+        // Resolve every view before saving anything, so invalid input leaves no files behind
+        const viewBuffers = {};
+        for (const view of MULTI_VIEW_SLOTS) {
+          if (!views[view]) continue;
+          try {
+            viewBuffers[view] = await resolveImageInput(views[view], workDir, assetsDir);
+          } catch (error) {
+            throw {
+              code: MCP_ERROR_CODES.InvalidParams,
+              message: `Invalid ${view} image: ${error.message}`
+            };
           }
-          await log('INFO', `Generating 3D asset with prompt: "${prompt}"`, workDir);
-
-          const initialResponse = {
-            content: [
-              {
-                type: "text",
-                text: `Starting 3D asset generation (Operation ID: ${operationId})...\n\n` +
-                      `This process may take several minutes. Check logs for progress.`
-              }
-            ],
-            isError: false,
-            metadata: { operationId }
+        }
+
+        const artifacts = {};
+        for (const [view, viewBuffer] of Object.entries(viewBuffers)) {
+          const extension = detectImageFormat(viewBuffer) === "JPEG" ? "jpg" : "png";
+          const saveResult = await saveFileFromData(viewBuffer, `3d_view_${view}`, extension, name, assetsDir, hfToken, modelSpace, workDir);
+          artifacts[`3d_view_${view}`] = saveResult.filePath;
+          // The first available view (front if given) doubles as the main input image
+          artifacts["3d_image"] = artifacts["3d_image"] || saveResult.filePath;
+        }
+        await log('INFO', `Multi-view images saved: ${Object.keys(viewBuffers).join(", ")}`, workDir);
+        await notifyResourceListChanged();
+
+        return await start3dJob(name, { prompt, priority, parameters }, {
+          wait,
+          timeout,
+          progressToken: _meta?.progressToken,
+          sendNotification: extra.sendNotification,
+          artifacts
+        });
+      }
+
+      if (name === TOOLS.GET_OPERATION_STATUS.name) {
+        const { operationId } = schemaOperation.parse(args);
+        const status = getOperationStatus(operationId);
+        if (!status) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Unknown operation: ${operationId}`
           };
+        }
 
-          (async () => {
-            try {
-              const enhancedPrompt = `${prompt}, high detailed, complete object, not cut off, white solid background`;
-              await log('DEBUG', `Enhanced 3D prompt: "${enhancedPrompt}"`, workDir);
-              
-              // Use InferenceClient with retry logic instead of direct fetch
-              await log('DEBUG', "Using InferenceClient with retry logic for 3D asset generation...", workDir);
-              
-              // Use textToImage with retry logic
-              const image = await retryWithBackoff(async () => {
-                return await inferenceClient.textToImage({
-                  model: "gokaygokay/Flux-Game-Assets-LoRA-v2",
-                  inputs: enhancedPrompt,
-                  parameters: { num_inference_steps: 30 }, // Reduced steps for faster processing
-                  provider: "hf-inference",
-                });
-              }, operationId, 3, 10000); // 3 retries, 10s initial delay
-              
-              if (!image) {
-                throw new Error("No image returned from 3D asset generation API");
-              }
-              
-              await log('DEBUG', "Successfully received response from Hugging Face Inference API", workDir);
-              
-              // Save the image (which is a Blob)
-              // Detect the actual image format (JPEG or PNG)
-              const imageBuffer = await image.arrayBuffer();
-              const format = detectImageFormat(Buffer.from(imageBuffer));
-              const extension = format === "JPEG" ? "jpg" : "png";
-              
-              await log('DEBUG', `Detected 3D image format: ${format}, using extension: ${extension}`, workDir);
-              const saveResult = await saveFileFromData(image, "3d_image", extension, name, assetsDir, hfToken, modelSpace, workDir);
-              const imagePath = saveResult.filePath;
-              await log('INFO', `3D image generated at: ${imagePath}`, workDir);
-              await logOperation(name, operationId, 'PROCESSING', { step: 'Initial image generated', path: imagePath }, workDir);
-              
-              // Read the image file for processing
-              const imageFile = await fs.readFile(imagePath);
-              
-              // Log critical parameters before processing
-              await log('DEBUG', `Critical parameters check before processing:`, workDir);
-              await log('DEBUG', `- assetsDir: ${assetsDir ? assetsDir : 'undefined'}`, workDir);
-              await log('DEBUG', `- toolName: ${name ? name : 'undefined'}`, workDir);
-              await log('DEBUG', `- spaceType: ${spaceType ? spaceType : 'undefined'}`, workDir);
-              await log('DEBUG', `- workDir: ${workDir ? workDir : 'undefined'}`, workDir);
-              
-              // Validate assetsDir before proceeding
-              if (!assetsDir || typeof assetsDir !== "string") {
-                throw new Error("assetsDir is undefined or not a string in tools.js");
-              }
-              
-              // Process the 3D asset based on the space type
-              await logOperation(name, operationId, 'PROCESSING', { step: 'Processing with workflow', spaceType }, workDir);
-              
-              const result = await process3dAsset({
-                spaceType,
-                modelClient,
-                imageFile,
-                imagePath,
-                prompt,
-                operationId,
-                toolName: name,
-                assetsDir,
-                hfToken,
-                modelSpace,
-                workDir,
-                config,
-                retryWithBackoff,
-                notifyResourceListChanged
-              });
-              
-              // Create a completion message with detailed information
-              const completionMessage = `3D asset generation complete (Operation ID: ${operationId}).\n\n` +
-                                       `Process completed in ${Math.round((Date.now() - new Date(global.operationUpdates[operationId][0].timestamp).getTime()) / 1000)} seconds.\n\n` +
-                                       `3D models available at:\n` +
-                                       `- OBJ: ${result.objResult.resourceUri}\n` +
-                                       `- GLB: ${result.glbResult.resourceUri}\n\n` +
-                                       `You can view these models in any 3D viewer that supports OBJ or GLB formats.`;
-              
-              await logOperation(name, operationId, 'COMPLETED', {
-                objPath: result.objResult.filePath,
-                glbPath: result.glbResult.filePath,
-                objUri: result.objResult.resourceUri,
-                glbUri: result.glbResult.resourceUri,
-                processingTime: `${Math.round((Date.now() - new Date(global.operationUpdates[operationId][0].timestamp).getTime()) / 1000)} seconds`
-              }, workDir);
-              
-              // Log the completion
-              await log('INFO', `Operation ${operationId} completed successfully. Final response ready.`, workDir);
-              await log('INFO', `Completion message for client:\n${completionMessage}`, workDir);
-              
-            } catch (error) {
-              const errorMessage = `Error in 3D asset generation (Operation ID: ${operationId}):\n${error.message}\n\nThe operation has been terminated. Please try again later or with a different prompt.`;
-              
-              // Use the enhanced error logging function
-              await logDetailedError(error, operationId, workDir, {
-                prompt,
-                enhancedPrompt: `${prompt}, high detailed, complete object, not cut off, white solid background`,
-                spaceType,
-                modelSpace,
-                phase: global.operationUpdates[operationId] ?
-                       global.operationUpdates[operationId][global.operationUpdates[operationId].length - 1].status :
-                       'UNKNOWN',
-                parameters: {
-                  steps: model3dSteps,
-                  guidanceScale: model3dGuidanceScale,
-                  seed: model3dSeed,
-                  octreeResolution: model3dOctreeResolution,
-                  removeBackground: model3dRemoveBackground,
-                  turboMode: model3dTurboMode
-                }
-              });
-              
-              // Log the error message for the client
-              await log('INFO', `Error message for client:\n${errorMessage}`, workDir);
-            }
-          })();
-          
-          // Return the initial response immediately to prevent timeout
-          return initialResponse;
-        } catch (error) {
-          await log('ERROR', `Error starting operation ${operationId}: ${error.message}`, workDir);
+        return {
+          content: [{ type: "text", text: JSON.stringify(status, null, 2) }],
+          isError: false
+        };
+      }
+  
+      if (name === TOOLS.LIST_OPERATIONS.name) {
+        const { activeOnly } = schemaListOperations.parse(args || {});
+        const operations = listOperations({ activeOnly });
+        const queues = getSchedulerStats();
+        const spaces = getSpacePoolStatus();
+
+        return {
+          content: [{ type: "text", text: JSON.stringify({ operations, queues, spaces }, null, 2) }],
+          isError: false
+        };
+      }
+
+      if (name === TOOLS.CANCEL_OPERATION.name) {
+        const { operationId } = schemaOperation.parse(args);
+        const status = getOperationStatus(operationId);
+        if (!status) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Unknown operation: ${operationId}`
+          };
+        }
+
+        if (status.done || !cancelOperation(operationId)) {
           return {
-            content: [{ type: "text", text: `Error: ${error.message}` }],
+            content: [{ type: "text", text: `Operation ${operationId} is not running (status: ${status.status})` }],
             isError: true
           };
         }
+
+        await log('INFO', `Cancellation requested for operation ${operationId}`, workDir);
+        return {
+          content: [{ type: "text", text: `Cancellation requested for operation ${operationId}. Its status will change to CANCELLED.` }],
+          isError: false
+        };
+      }
+
+      if (config.adminTools && name === TOOLS.LIST_SPACES.name) {
+        const spaces = {
+          primary: { space: modelSpace, spaceType },
+          spaces: getSpacePoolStatus(),
+          configured: config.modelSpaces || [{ name: config.modelSpace, spaceType: null }],
+          spaceTypes: listBackends().map(backend => ({
+            spaceType: backend.id,
+            name: backend.name,
+            spaceNames: backend.spaceNames,
+            multiView: Boolean(backend.supportsMultiView)
+          }))
+        };
+
+        return {
+          content: [{ type: "text", text: JSON.stringify(spaces, null, 2) }],
+          isError: false
+        };
+      }
+
+      if (config.adminTools && name === TOOLS.SWITCH_SPACE.name) {
+        const { space, space_type, keep_current } = schemaSwitchSpace.parse(args);
+        if (!validateSpaceFormat(space)) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Invalid space "${space}". Format must be "username/space-name"`
+          };
+        }
+        if (space_type && !getBackend(space_type)) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `Unknown space type "${space_type}". Valid types: ${listBackends().map(({ id }) => id).join(", ")}`
+          };
+        }
+        if (switchingSpace) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidRequest,
+            message: "Another space switch is in progress. Please try again once it has finished."
+          };
+        }
+
+        switchingSpace = true;
+        try {
+          const previous = { space: modelSpace, spaceType };
+          // Without space_type the type is detected, not taken from MODEL_SPACE_TYPE
+          const connected = await connectModelSpace(space, space_type || null, config, { useModelSpaceType: false });
+          if (!keep_current) {
+            removeSpace(modelSpace);
+          }
+          registerSpace(connected, { primary: true });
+          ({ client: modelClient, name: modelSpace, spaceType } = connected);
+
+          await log('INFO', `Switched the primary model space from ${previous.space} (${previous.spaceType}) to ${modelSpace} (${spaceType})`, workDir);
+          await notifyToolListChanged();
+
+          return {
+            content: [{
+              type: "text",
+              text: `Switched to ${modelSpace} (${spaceType}), previously ${previous.space} (${previous.spaceType}).\n\n` +
+                    `Model spaces in use: ${listSpaces().map(({ name }) => name).join(", ")}`
+            }],
+            isError: false
+          };
+        } finally {
+          switchingSpace = false;
+        }
+      }
+
+      if (config.adminTools && name === TOOLS.DETECT_SPACE_TYPE.name) {
+        const { space = modelSpace } = schemaDetectSpaceType.parse(args || {});
+        const connected = listSpaces().find(({ name: spaceName }) => spaceName === space);
+        if (!connected) {
+          throw {
+            code: MCP_ERROR_CODES.InvalidParams,
+            message: `${space} is not a connected model space. Connected spaces: ${listSpaces().map(({ name: spaceName }) => spaceName).join(", ")}`
+          };
+        }
+
+        const previousSpaceType = connected.spaceType;
+        // Query the endpoints even when MODEL_SPACE_TYPE is set
+        const detected = await detectSpaceType(connected.client, connected.name, workDir, { useEnvOverride: false });
+        updateSpaceType(connected.name, detected);
+        if (connected.name === modelSpace && detected !== spaceType) {
+          spaceType = detected;
+          await notifyToolListChanged();
+        }
+
+        return {
+          content: [{
+            type: "text",
+            text: detected === previousSpaceType
+              ? `${connected.name} is still detected as ${detected}`
+              : `${connected.name} is now detected as ${detected} (previously ${previousSpaceType})`
+          }],
+          isError: false
+        };
       }
   
       throw {
@@ -284,4 +1540,8 @@ export function registerToolHandlers(server, config, clients, notifyResourceList
       };
     }
   });
+
+  resumeUnfinishedJobs().catch(error => {
+    log('ERROR', `Failed to resume unfinished jobs: ${error.message}`, workDir);
+  });
 }
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { Client } from "@gradio/client";
+import sharp from "sharp";
+import crypto from "crypto";
+import { log } from "./logger.js";
+import { retryWithBackoff, withTimeout, withAbortSignal } from "./utils.js";
+import { createMockGradioClient, mockOptionsFromConfig } from "./mock.js";
+
+// Image upscaling: nearest-neighbour (pixel art) and lanczos locally with sharp,
+// or an AI upscaler hosted on a Hugging Face Space (UPSCALE_SPACE).
+
+export const UPSCALE_METHODS = ["nearest", "lanczos", "space"];
+
+// Largest upscaled image, in pixels (4096x4096)
+export const MAX_UPSCALE_PIXELS = 4096 * 4096;
+
+// Gradio client of the upscaler Space, connected on first use
+let upscaleClient = null;
+let upscaleClientSpace = null;
+
+/**
+ * Resize an image by an integer factor with sharp
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {number} scale - Scale factor (e.g., 2 or 4)
+ * @param {string} method - "nearest" or "lanczos"
+ * @returns {Promise<Buffer>} The upscaled PNG
+ */
+export async function upscaleLocal(buffer, scale, method) {
+  const { width, height } = await sharp(buffer).metadata();
+  return await sharp(buffer)
+    .resize(width * scale, height * scale, { kernel: method === "nearest" ? "nearest" : "lanczos3" })
+    .png()
+    .toBuffer();
+}
+
+async function getUpscaleClient(config) {
+  const { upscaleSpace, hfToken, workDir } = config;
+  if (upscaleClient && upscaleClientSpace === upscaleSpace) {
+    return upscaleClient;
+  }
+
+  if (config.mockMode) {
+    upscaleClient = createMockGradioClient("upscale", mockOptionsFromConfig(config));
+    upscaleClientSpace = upscaleSpace;
+    return upscaleClient;
+  }
+
+  await log('INFO', `Connecting to upscaler space: ${upscaleSpace}...`, workDir);
+  upscaleClient = await withTimeout(
+    Client.connect(upscaleSpace, { hf_token: hfToken }),
+    60000,
+    `Connection to ${upscaleSpace} timed out after 60 seconds`
+  );
+  upscaleClientSpace = upscaleSpace;
+  await log('INFO', `Successfully connected to upscaler space: ${upscaleSpace}`, workDir);
+  return upscaleClient;
+}
+
+/**
+ * Upscale an image with the AI upscaler Space. The endpoint's parameters are read from its API:
+ * the image goes to the first image parameter, the scale to a parameter named like "scale"
+ * or "outscale", and every other parameter keeps its default.
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {number} scale - Scale factor
+ * @param {Object} config - The server config (upscaleSpace, upscaleSpaceEndpoint, hfToken, workDir)
+ * @param {string} operationId - ID used to report retries
+ * @param {AbortSignal} signal - Stops reading the API, retrying and the download when aborted
+ * @returns {Promise<Buffer>} The upscaled PNG, resized to exactly scale times the source size
+ */
+export async function upscaleWithSpace(buffer, scale, config, operationId, signal = null) {
+  const { upscaleSpace, upscaleSpaceEndpoint, hfToken, workDir } = config;
+  if (!upscaleSpace) {
+    throw new Error("The space upscaler requires UPSCALE_SPACE to be set");
+  }
+
+  const client = await getUpscaleClient(config);
+  const apiInfo = await withAbortSignal(withTimeout(client.view_api(true), 30000, "view_api timed out"), signal);
+  const endpoint = apiInfo.named_endpoints?.[upscaleSpaceEndpoint];
+  if (!endpoint) {
+    throw new Error(`Upscaler space ${upscaleSpace} has no ${upscaleSpaceEndpoint} endpoint`);
+  }
+
+  const pngBuffer = await sharp(buffer).png().toBuffer();
+  const imageFile = new File([pngBuffer], `upscale_${crypto.randomBytes(4).toString("hex")}.png`, { type: "image/png" });
+  let imageSent = false;
+  const inputs = endpoint.parameters.map(parameter => {
+    const name = (parameter.parameter_name || parameter.label || "").toLowerCase();
+    if (!imageSent && (parameter.component === "Image" || parameter.python_type?.type === "filepath")) {
+      imageSent = true;
+      return imageFile;
+    }
+    if (/scale/.test(name)) {
+      return scale;
+    }
+    return parameter.parameter_has_default ? parameter.parameter_default : null;
+  });
+  if (!imageSent) {
+    throw new Error(`The ${upscaleSpaceEndpoint} endpoint of ${upscaleSpace} has no image input`);
+  }
+
+  await log('DEBUG', `Calling ${upscaleSpace}${upscaleSpaceEndpoint} with ${inputs.length} input(s)`, workDir);
+  const result = await retryWithBackoff(() => client.predict(upscaleSpaceEndpoint, inputs), operationId, 3, 5000, signal);
+  const output = Array.isArray(result.data) ? result.data[0] : null;
+  const url = output?.url || output?.image?.url;
+  if (!url) {
+    throw new Error(`Upscaler space ${upscaleSpace} returned no image: ${JSON.stringify(result.data)}`);
+  }
+
+  const response = await fetch(url, { headers: hfToken ? { Authorization: `Bearer ${hfToken}` } : {}, signal });
+  if (!response.ok) {
+    throw new Error(`Failed to download upscaled image: ${response.status} ${response.statusText}`);
+  }
+
+  // Upscalers often have a fixed factor, so resize to the requested size
+  const { width, height } = await sharp(buffer).metadata();
+  return await sharp(Buffer.from(await response.arrayBuffer()))
+    .resize(width * scale, height * scale, { fit: "fill", kernel: "lanczos3" })
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Check that an image upscaled by a factor stays within MAX_UPSCALE_PIXELS
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {number} scale - Scale factor
+ * @returns {Promise<string|null>} Why the image cannot be upscaled, or null if it can
+ */
+export async function checkUpscaleSize(buffer, scale) {
+  const { width, height } = await sharp(buffer).metadata();
+  return checkUpscaleDimensions(width, height, scale);
+}
+
+// Like checkUpscaleSize, for an image of known size that has not been generated yet
+export function checkUpscaleDimensions(width, height, scale) {
+  if (width * scale * height * scale > MAX_UPSCALE_PIXELS) {
+    return `Upscaling ${width}x${height} by ${scale}x gives ${width * scale}x${height * scale} pixels, more than the limit of 4096x4096`;
+  }
+  return null;
+}
+
+/**
+ * Upscale an image with the given method
+ * @param {Buffer} buffer - PNG or JPEG image data
+ * @param {Object} options
+ * @param {number} options.scale - Scale factor
+ * @param {string} options.method - One of UPSCALE_METHODS
+ * @param {Object} config - The server config
+ * @param {string} operationId - ID used to report retries of the space upscaler
+ * @param {AbortSignal} signal - Cancels the space upscaler
+ * @returns {Promise<Buffer>} The upscaled PNG
+ */
+export async function upscaleImage(buffer, { scale, method }, config, operationId = null, signal = null) {
+  const tooLarge = await checkUpscaleSize(buffer, scale);
+  if (tooLarge) {
+    throw new Error(tooLarge);
+  }
+  if (method === "space") {
+    return await upscaleWithSpace(buffer, scale, config, operationId, signal);
+  }
+  return await upscaleLocal(buffer, scale, method);
+}
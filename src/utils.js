@@ -2,19 +2,39 @@ import { log } from "./logger.js";
 import path from "path";
 import { promises as fs } from "fs";
 import crypto from "crypto";
+import { reportOperationProgress } from "./operations.js";
 
-export async function retryWithBackoff(operation, operationId, maxRetries = 3, initialDelay = 5000) {
+/**
+ * Run an operation, retrying failed attempts with exponential backoff. GPU quota errors are retried
+ * after the wait time given in their message instead.
+ * @param {Function} operation - Async function to run
+ * @param {string} operationId - Operation to report waits to
+ * @param {number} maxRetries - Retries after the first attempt
+ * @param {number} initialDelay - Delay before the first retry in milliseconds, doubled after each retry
+ * @param {AbortSignal} signal - Stops retrying when aborted
+ * @param {Object} options
+ * @param {number} options.maxWaitTime - Longest wait in milliseconds; the error is thrown instead of
+ *   waiting longer (e.g., so the job can move to another Space)
+ */
+export async function retryWithBackoff(operation, operationId, maxRetries = 3, initialDelay = 5000, signal = null, { maxWaitTime = Infinity } = {}) {
   let retries = 0;
   let delay = initialDelay;
 
   while (retries <= maxRetries) {
+    // Never start (or restart) an attempt for a cancelled operation
+    signal?.throwIfAborted();
     try {
-      return await operation();
+      return await withAbortSignal(operation(), signal);
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       retries++;
       if (retries > maxRetries) throw error;
 
       const waitTime = calculateWaitTime(error.message, delay);
+      if (waitTime > maxWaitTime) {
+        await log("WARN", `Operation failed: ${error.message}. Not waiting ${waitTime / 1000} seconds to retry`);
+        throw error;
+      }
       await log(
         "WARN",
         `Operation failed: ${error.message}. Retrying in ${waitTime / 1000} seconds (${retries}/${maxRetries})`
@@ -29,13 +49,110 @@ export async function retryWithBackoff(operation, operationId, maxRetries = 3, i
           timestamp: new Date().toISOString(),
         });
       }
-      await new Promise((resolve) => setTimeout(resolve, waitTime));
+      await reportOperationProgress(operationId, null, `Waiting ${waitTime / 1000} seconds before retry ${retries}/${maxRetries}`);
+      await sleep(waitTime, signal);
       delay *= 2;
     }
   }
 }
 
-function calculateWaitTime(errorMessage, defaultDelay) {
+// Resolve after ms milliseconds, or reject early with the abort reason if the signal fires
+export function sleep(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// Settle with the promise, or reject with the abort reason as soon as the signal fires.
+// The underlying work (e.g. a Space prediction) is not stopped, only no longer awaited; jobs on the
+// Space pool keep their scheduler slot until it settles (see spacePool.js).
+export function withAbortSignal(promise, signal = null) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+// Settle with the promise, or reject with an error after ms milliseconds. The timer is cleared
+// once the promise settles, so it does not keep the process alive.
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Build the positional arguments of a Space endpoint from named values. The endpoint's parameters
+ * are read from its API, so values for parameters an older version of the Space does not have
+ * are dropped, and parameters without a value keep their defaults.
+ * @param {Object} client - The Gradio client connected to the space
+ * @param {string} endpoint - The endpoint (e.g., "/image_to_3d")
+ * @param {Object} values - Values by parameter name
+ * @returns {Promise<Array>} The arguments in the endpoint's order
+ */
+export async function buildEndpointArguments(client, endpoint, values) {
+  const apiInfo = await withTimeout(client.view_api(true), 30000, "view_api timed out");
+  const parameters = apiInfo?.named_endpoints?.[endpoint]?.parameters;
+  if (!parameters) {
+    throw new Error(`The space has no ${endpoint} endpoint`);
+  }
+  return parameters.map(parameter => {
+    if (values[parameter.parameter_name] !== undefined) {
+      return values[parameter.parameter_name];
+    }
+    return parameter.parameter_has_default ? parameter.parameter_default : null;
+  });
+}
+
+// True if the error message is a ZeroGPU quota error ("You have exceeded your GPU quota ...")
+export function isGpuQuotaError(errorMessage) {
+  return /exceeded your GPU quota/i.test(errorMessage || "");
+}
+
+// True if the error is caused by the Space rather than by the job: a GPU quota error, a connection
+// error, a timeout or a server (5xx) error. Bad input or an unexpected response is not.
+export function isSpaceFailure(error) {
+  if ((error?.status ?? error?.statusCode) >= 500) return true;
+  const message = error?.message || String(error || "");
+  return isGpuQuotaError(message) ||
+    /timed? ?out|ETIMEDOUT|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|fetch failed|socket hang up|connection errored|could not connect|space status|space metadata|space is (?:sleeping|paused|building|not running)/i.test(message) ||
+    /\b5\d\d (?:Internal Server Error|Bad Gateway|Service Unavailable|Gateway Timeout)|status(?: code)?:? 5\d\d/i.test(message);
+}
+
+/**
+ * Time to wait before retrying after an error: the wait given in a GPU quota error
+ * (e.g., "retry in 0:05:00" or "retry in 30 seconds"), or the default delay for other errors
+ * @param {string} errorMessage - The error message
+ * @param {number} defaultDelay - Delay in milliseconds for other errors
+ * @returns {number} Wait time in milliseconds
+ */
+export function calculateWaitTime(errorMessage, defaultDelay) {
   const gpuQuotaMatch = errorMessage?.match(
     /exceeded your GPU quota.*(?:retry|wait)\s*(?:in|after)?\s*(?:(\d+):(\d+):(\d+)|(\d+)\s*(?:seconds|s)|(\d+)\s*(?:minutes|m)|(\d+)\s*(?:hours|h))/i
   );
@@ -81,6 +198,69 @@ export function parseResourceUri(uri) {
   return { type, id };
 }
 
+/**
+ * Resolve an asset:// URI to the path of the asset file
+ * @param {string} uri - asset://filename or asset://{type}/filename
+ * @param {string} assetsDir - The assets directory holding asset:// files
+ * @returns {string} The file path inside assetsDir
+ */
+export function resolveAssetPath(uri, assetsDir) {
+  const parsedUri = parseResourceUri(uri);
+  if (!parsedUri) {
+    throw new Error(`Invalid asset URI: ${uri}`);
+  }
+  // Both asset://filename and asset://{type}/filename refer to a file in assetsDir
+  const filename = parsedUri.id.split("/").pop();
+  const filePath = path.resolve(assetsDir, filename);
+  if (!filePath.startsWith(path.resolve(assetsDir) + path.sep)) {
+    throw new Error("Invalid asset URI - security violation");
+  }
+  return filePath;
+}
+
+/**
+ * Resolve an image given as an asset:// URI, base64 data (optionally a data: URL),
+ * or a file path inside the working directory
+ * @param {string} input - The image reference
+ * @param {string} workDir - The working directory; paths outside it are rejected
+ * @param {string} assetsDir - The assets directory holding asset:// files
+ * @returns {Promise<Buffer>} The image data
+ */
+export async function resolveImageInput(input, workDir, assetsDir) {
+  if (!input || typeof input !== "string") {
+    throw new Error("No image provided");
+  }
+
+  let buffer;
+  if (input.startsWith("asset://")) {
+    buffer = await fs.readFile(resolveAssetPath(input, assetsDir));
+  } else if (input.startsWith("data:")) {
+    const match = input.match(/^data:image\/[\w.+-]+;base64,(.+)$/s);
+    if (!match) {
+      throw new Error("Invalid image data URL - expected data:image/...;base64,...");
+    }
+    buffer = Buffer.from(match[1], "base64");
+  } else if (/^[A-Za-z0-9+/=\s]+$/.test(input) && input.length > 100) {
+    // Raw base64 (paths always contain a character outside the base64 alphabet, such as ".")
+    buffer = Buffer.from(input, "base64");
+  } else {
+    const filePath = path.resolve(workDir, input);
+    if (!filePath.startsWith(path.resolve(workDir) + path.sep)) {
+      throw new Error("Image path must be inside the working directory");
+    }
+    buffer = await fs.readFile(filePath);
+  }
+
+  // detectImageFormat falls back to PNG for unknown data, so check both signatures here
+  const isJpeg = buffer.length > 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF;
+  const isPng = buffer.length > 3 && buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47;
+  if (!isJpeg && !isPng) {
+    throw new Error("Provided image is not a PNG or JPEG image");
+  }
+
+  return buffer;
+}
+
 // Helper to detect image format from buffer
 export function detectImageFormat(buffer) {
   if (!buffer || buffer.length < 4) {
@@ -199,8 +379,8 @@ export async function saveFileFromData(data, prefix, ext, toolName, assetsDir, h
         const headers = hfToken ? { Authorization: `Bearer ${hfToken}` } : {};
         if (workDir && hfToken) await log('DEBUG', "Adding HF token authentication to URL fetch request", workDir);
         
-        // Verify the URL domain matches the expected domain for the configured space
-        if (modelSpace) {
+        // Verify the URL domain matches the expected domain for the configured space (data URLs are inline)
+        if (modelSpace && !fileData.url.startsWith("data:")) {
           try {
             const urlDomain = new URL(fileData.url).hostname;
             const expectedDomain = modelSpace.split('/')[0].toLowerCase() + '-' + modelSpace.split('/')[1].toLowerCase() + '.hf.space';
@@ -232,8 +412,8 @@ export async function saveFileFromData(data, prefix, ext, toolName, assetsDir, h
       const headers = hfToken ? { Authorization: `Bearer ${hfToken}` } : {};
       if (workDir && hfToken) await log('DEBUG', "Adding HF token authentication to URL fetch request", workDir);
       
-      // Verify the URL domain matches the expected domain for the configured space
-      if (modelSpace) {
+      // Verify the URL domain matches the expected domain for the configured space (data URLs are inline)
+      if (modelSpace && !data.url.startsWith("data:")) {
         try {
           const urlDomain = new URL(data.url).hostname;
           const expectedDomain = modelSpace.split('/')[0].toLowerCase() + '-' + modelSpace.split('/')[1].toLowerCase() + '.hf.space';
@@ -290,6 +470,7 @@ export function getMimeType(filename) {
   if (filename.endsWith(".jpg") || filename.endsWith(".jpeg")) return "image/jpeg";
   if (filename.endsWith(".obj")) return "model/obj";
   if (filename.endsWith(".glb")) return "model/gltf-binary";
+  if (filename.endsWith(".json")) return "application/json";
   return "application/octet-stream"; // Default
 }
 
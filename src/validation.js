@@ -23,6 +23,17 @@ export function validateNumericRange(value, min, max, defaultValue, paramName) {
   return numValue;
 }
 
+// Function to round a value down to a multiple of step (e.g., image sizes that must be multiples of 8)
+export function validateMultipleOf(value, step, paramName) {
+  if (value === null || value === undefined || value % step === 0) {
+    return value;
+  }
+  
+  const rounded = Math.floor(value / step) * step;
+  console.error(`${paramName} value ${value} is not a multiple of ${step}. Using ${rounded}.`);
+  return rounded;
+}
+
 // Function to validate enum values
 export function validateEnum(value, allowedValues, defaultValue, paramName) {
   if (value === null || value === undefined) {
@@ -1,6 +1,7 @@
 import { promises as fs } from "fs";
 import path from "path";
 import { log } from "../logger.js";
+import { reportOperationProgress } from "../operations.js";
 import { saveFileFromData } from "../utils.js";
 import sharp from "sharp";
 import crypto from "crypto";
@@ -11,6 +12,15 @@ function validateAssetsDir(assetsDir) {
   }
 }
 
+// Per-call generation parameters supported by Hunyuan3D-2, with their valid ranges
+export const HUNYUAN3D_PARAMETERS = {
+  steps: { type: "integer", min: 20, max: 50, default: 20, description: "Inference steps" },
+  guidance_scale: { type: "number", min: 0, max: 100, default: 5.5, description: "How closely the model follows the input" },
+  seed: { type: "integer", min: 0, max: 10000000, default: 1234, description: "Seed for shape generation" },
+  octree_resolution: { type: "string", enum: ["256", "384", "512"], default: "256", description: "Octree resolution of the mesh" },
+  remove_background: { type: "boolean", default: true, description: "Remove the background of the input image" }
+};
+
 export async function processHunyuan3d({
   modelClient,
   imageFile,
@@ -24,7 +34,8 @@ export async function processHunyuan3d({
   workDir,
   config,
   retryWithBackoff,
-  notifyResourceListChanged
+  notifyResourceListChanged,
+  signal = null
 }) {
   // Validate assetsDir before proceeding
   validateAssetsDir(assetsDir);
@@ -52,15 +63,16 @@ export async function processHunyuan3d({
   await notifyResourceListChanged();
 
   // Set parameters with defaults
-  const steps = Math.max(20, Math.min(50, model3dSteps || 20));
-  const guidanceScale = model3dGuidanceScale || 5.5;
-  const seed = model3dSeed || 1234;
-  const validOctreeResolutions = ["256", "384", "512"];
-  const octreeResolution = validOctreeResolutions.includes(model3dOctreeResolution) ? model3dOctreeResolution : "256";
+  const { steps: stepsRange, octree_resolution: octreeOptions } = HUNYUAN3D_PARAMETERS;
+  const steps = Math.max(stepsRange.min, Math.min(stepsRange.max, model3dSteps ?? stepsRange.default));
+  const guidanceScale = model3dGuidanceScale ?? HUNYUAN3D_PARAMETERS.guidance_scale.default;
+  const seed = model3dSeed ?? HUNYUAN3D_PARAMETERS.seed.default;
+  const octreeResolution = octreeOptions.enum.includes(String(model3dOctreeResolution)) ? String(model3dOctreeResolution) : octreeOptions.default;
   const removeBackground = model3dRemoveBackground !== false;
 
   await log('INFO', `Parameters: steps=${steps}, guidance_scale=${guidanceScale}, seed=${seed}, octree_resolution=${octreeResolution}, remove_background=${removeBackground}`, workDir);
 
+  await reportOperationProgress(operationId, 30, "Generating 3D model");
   const modelResult = await retryWithBackoff(async () => {
     return await modelClient.predict("/generation_all", [
       prompt,
@@ -71,7 +83,7 @@ export async function processHunyuan3d({
       octreeResolution,
       removeBackground
     ]);
-  }, operationId, 5);
+  }, operationId, 5, 5000, signal);
 
   if (!modelResult || !modelResult.data || modelResult.data.length < 2) {
     throw new Error("3D model generation failed: insufficient data in response");
@@ -87,8 +99,9 @@ export async function processHunyuan3d({
     texturedMeshUrl = whiteMeshUrl;
   }
 
+  await reportOperationProgress(operationId, 85, "Downloading mesh");
   const headers = { Authorization: `Bearer ${hfToken}` };
-  const response = await fetch(texturedMeshUrl, { headers });
+  const response = await fetch(texturedMeshUrl, { headers, signal });
   if (!response.ok) throw new Error(`Failed to fetch mesh: ${response.status} ${response.statusText}`);
   const buffer = await response.arrayBuffer();
 
@@ -102,4 +115,17 @@ export async function processHunyuan3d({
   const objResult = glbResult; // Alias for consistency, as Hunyuan3D-2 doesn't provide separate OBJ
 
   return { objResult, glbResult };
-}
\ No newline at end of file
+}
+
+// Registry entry (see registry.js). Hunyuan3D-2mini-Turbo also exposes /generation_all,
+// so it is checked before this backend.
+export const backend = {
+  id: "hunyuan3d",
+  name: "Hunyuan3D-2",
+  endpoints: ["/shape_generation", "/generation_all"],
+  detectionPriority: 0,
+  namePatterns: ["hunyuan"],
+  spaceNames: ["Hunyuan3D-2", "hunyuan3d-2", "HunyuanD-2"],
+  parameters: HUNYUAN3D_PARAMETERS,
+  run: processHunyuan3d
+};
@@ -1,7 +1,8 @@
 import { promises as fs } from "fs";
 import path from "path";
 import { log } from "../logger.js";
-import { saveFileFromData } from "../utils.js";
+import { reportOperationProgress } from "../operations.js";
+import { saveFileFromData, withAbortSignal, withTimeout } from "../utils.js";
 import sharp from "sharp";
 import crypto from "crypto";
 
@@ -11,6 +12,33 @@ function validateAssetsDir(assetsDir) {
   }
 }
 
+// Per-call generation parameters supported by Hunyuan3D-2mini-Turbo, with their valid ranges.
+// The default number of steps depends on the generation mode (Turbo: 5, Fast: 10, Standard: 20).
+export const HUNYUAN3D_MINI_TURBO_PARAMETERS = {
+  steps: { type: "integer", min: 1, max: 100, default: 5, defaultLabel: "5 for Turbo, 10 for Fast, 20 for Standard", description: "Inference steps" },
+  guidance_scale: { type: "number", min: 0, max: 100, default: 5.0, description: "How closely the model follows the input" },
+  seed: { type: "integer", min: 0, max: 10000000, default: 1234, defaultLabel: "random", description: "Seed for shape generation" },
+  octree_resolution: { type: "integer", min: 16, max: 512, default: 256, description: "Octree resolution of the mesh" },
+  remove_background: { type: "boolean", default: true, description: "Remove the background of the input image" },
+  turbo_mode: { type: "string", enum: ["Turbo", "Fast", "Standard"], default: "Turbo", description: "Generation mode" }
+};
+
+// Multi-view image slots of /generation_all, in argument order
+export const MULTI_VIEW_SLOTS = ["front", "back", "left", "right"];
+
+/**
+ * Check whether the connected space accepts multi-view images on /generation_all
+ * @param {Object} modelClient - The Gradio client connected to the space
+ * @returns {Promise<boolean>}
+ */
+export async function supportsMultiView(modelClient) {
+  const apiInfo = await withTimeout(modelClient.view_api(true), 30000, "view_api timed out");
+  const parameters = apiInfo?.named_endpoints?.["/generation_all"]?.parameters || [];
+  return MULTI_VIEW_SLOTS.every(view =>
+    parameters.some(parameter => parameter.parameter_name === `mv_image_${view}`)
+  );
+}
+
 export async function processHunyuan3dMiniTurbo({
   modelClient,
   imageFile,
@@ -24,7 +52,9 @@ export async function processHunyuan3dMiniTurbo({
   workDir,
   config,
   retryWithBackoff,
-  notifyResourceListChanged
+  notifyResourceListChanged,
+  signal = null,
+  artifacts = {}
 }) {
   // Validate assetsDir before proceeding
   validateAssetsDir(assetsDir);
@@ -52,35 +82,52 @@ export async function processHunyuan3dMiniTurbo({
   await notifyResourceListChanged();
 
   // Set generation mode
-  const turboMode = model3dTurboMode || "Turbo";
-  await modelClient.predict("/on_gen_mode_change", [turboMode]);
+  await reportOperationProgress(operationId, 30, "Setting generation mode");
+  const turboMode = model3dTurboMode || HUNYUAN3D_MINI_TURBO_PARAMETERS.turbo_mode.default;
+  await withAbortSignal(modelClient.predict("/on_gen_mode_change", [turboMode]), signal);
   await log('INFO', `Set generation mode to ${turboMode}`, workDir);
 
   // Set parameters with defaults
   const defaultSteps = turboMode === "Turbo" ? 5 : turboMode === "Fast" ? 10 : 20;
-  const steps = Math.max(1, Math.min(100, model3dSteps || defaultSteps));
-  const guidanceScale = model3dGuidanceScale || 5.0;
-  const seed = model3dSeed || 1234;
-  const octreeResolution = Math.max(16, Math.min(512, parseInt(model3dOctreeResolution) || 256));
+  const { steps: stepsRange, octree_resolution: octreeRange } = HUNYUAN3D_MINI_TURBO_PARAMETERS;
+  const steps = Math.max(stepsRange.min, Math.min(stepsRange.max, model3dSteps ?? defaultSteps));
+  const guidanceScale = model3dGuidanceScale ?? HUNYUAN3D_MINI_TURBO_PARAMETERS.guidance_scale.default;
+  const seed = model3dSeed ?? HUNYUAN3D_MINI_TURBO_PARAMETERS.seed.default;
+  // Only randomize the seed when none was configured, so a chosen seed is reproducible
+  const randomizeSeed = model3dSeed === null || model3dSeed === undefined;
+  const octreeResolution = Math.max(octreeRange.min, Math.min(octreeRange.max, parseInt(model3dOctreeResolution) || octreeRange.default));
   const removeBackground = model3dRemoveBackground !== false;
   const numChunks = 8000;
 
   await log('INFO', `Parameters: mode=${turboMode}, steps=${steps}, guidance_scale=${guidanceScale}, seed=${seed}, octree_resolution=${octreeResolution}, remove_background=${removeBackground}`, workDir);
 
+  // Multi-view images recorded as job artifacts by the multiview_to_3d tool; empty slots stay null
+  const multiViewImages = await Promise.all(MULTI_VIEW_SLOTS.map(async (view) => {
+    const viewPath = artifacts[`3d_view_${view}`];
+    if (!viewPath) return null;
+    const viewBuffer = await sharp(await fs.readFile(viewPath)).png().toBuffer();
+    return new File([viewBuffer], `${view}_${path.basename(viewPath, path.extname(viewPath))}.png`, { type: mimeType });
+  }));
+  const viewNames = MULTI_VIEW_SLOTS.filter((view, index) => multiViewImages[index]);
+  if (viewNames.length > 0) {
+    await log('INFO', `Using multi-view images: ${viewNames.join(", ")}`, workDir);
+  }
+
+  await reportOperationProgress(operationId, 35, "Generating 3D model");
   const modelResult = await retryWithBackoff(async () => {
     return await modelClient.predict("/generation_all", [
       prompt,
       new File([pngBuffer], imageFilename, { type: mimeType }),
-      null, null, null, null, // Multi-view images
+      ...multiViewImages, // Front, back, left, right
       steps,
       guidanceScale,
       seed,
       octreeResolution,
       removeBackground,
       numChunks,
-      true // randomize_seed
+      randomizeSeed
     ]);
-  }, operationId, 5);
+  }, operationId, 5, 5000, signal);
 
   if (!modelResult || !modelResult.data || modelResult.data.length < 2) {
     throw new Error("3D model generation failed: insufficient data in response");
@@ -96,8 +143,9 @@ export async function processHunyuan3dMiniTurbo({
     texturedMeshUrl = whiteMeshUrl;
   }
 
+  await reportOperationProgress(operationId, 85, "Downloading mesh");
   const headers = { Authorization: `Bearer ${hfToken}` };
-  const response = await fetch(texturedMeshUrl, { headers });
+  const response = await fetch(texturedMeshUrl, { headers, signal });
   if (!response.ok) throw new Error(`Failed to fetch mesh: ${response.status} ${response.statusText}`);
   const buffer = await response.arrayBuffer();
 
@@ -111,4 +159,17 @@ export async function processHunyuan3dMiniTurbo({
   const objResult = glbResult; // Alias for consistency
 
   return { objResult, glbResult };
-}
\ No newline at end of file
+}
+
+// Registry entry (see registry.js)
+export const backend = {
+  id: "hunyuan3d_mini_turbo",
+  name: "Hunyuan3D-2mini-Turbo",
+  endpoints: ["/on_gen_mode_change", "/on_decode_mode_change", "/on_export_click"],
+  detectionPriority: 10,
+  namePatterns: ["hunyuan3d-2mini-turbo", "hunyuan3d-2mini", "hunyuan3dmini"],
+  spaceNames: ["Hunyuan3D-2mini-Turbo", "hunyuan3d-2mini-turbo", "Hunyuan3D-2mini", "hunyuan3d-2mini"],
+  parameters: HUNYUAN3D_MINI_TURBO_PARAMETERS,
+  run: processHunyuan3dMiniTurbo,
+  supportsMultiView
+};
@@ -1,10 +1,97 @@
-import { processInstantMesh } from './instantMesh.js';
-import { processHunyuan3d } from './hunyuan3d.js';
-import { processHunyuan3dMiniTurbo } from './hunyuan3dMiniTurbo.js';
-import { SPACE_TYPE } from '../spaceTypes.js';
+import { getBackend, parameterConfigKey } from './registry.js';
+import { MCP_ERROR_CODES } from '../validation.js';
+
+// Per-call parameters supported by a space type, as declared by its backend
+function getParameterDefinitions(spaceType) {
+  return getBackend(spaceType)?.parameters || {};
+}
+
+/**
+ * Build JSON Schema properties for the per-call parameters of a space type
+ * @param {string} spaceType - The space type
+ * @param {Object} config - The server config; configured .env values are shown as the defaults
+ * @returns {Object} Properties to merge into a tool's inputSchema
+ */
+export function build3dParameterProperties(spaceType, config = {}) {
+  const definitions = getParameterDefinitions(spaceType);
+  const properties = {};
+  for (const [name, definition] of Object.entries(definitions)) {
+    const { description, defaultLabel, configKey, ...schema } = definition;
+    const defaultValue = config[parameterConfigKey(name, definition)] ?? defaultLabel ?? schema.default;
+    properties[name] = {
+      ...schema.type === "integer" || schema.type === "number"
+        ? { type: schema.type, minimum: schema.min, maximum: schema.max }
+        : { type: schema.type },
+      ...(schema.enum ? { enum: schema.enum } : {}),
+      description: `${description} (default: ${defaultValue})`
+    };
+  }
+  return properties;
+}
+
+/**
+ * Validate per-call parameters against the ranges of a space type and apply them over the config
+ * @param {string} spaceType - The space type the job will run on
+ * @param {Object} parameters - Per-call parameters (e.g., { steps: 30, seed: 7 })
+ * @param {Object} config - The server config holding the .env defaults
+ * @returns {Object} A copy of the config with the parameters applied
+ */
+export function apply3dParameters(spaceType, parameters, config) {
+  const definitions = getParameterDefinitions(spaceType);
+  const overrides = {};
+
+  for (let [name, value] of Object.entries(parameters || {})) {
+    if (value === undefined || value === null) continue;
+
+    const definition = definitions[name];
+    if (!definition) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Parameter "${name}" is not supported by the ${spaceType} space`
+      };
+    }
+
+    if (definition.enum && !definition.enum.includes(String(value))) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Parameter "${name}" must be one of [${definition.enum.join(", ")}] for the ${spaceType} space`
+      };
+    }
+
+    // Parameters of custom backends are not typed by the tool schemas, so check their type here
+    const expectedType = definition.type === "integer" ? "number" : definition.type;
+    if (expectedType === "number" && typeof value === "string" && value.trim() !== "" && !isNaN(Number(value))) {
+      value = Number(value);
+    }
+    if (!definition.enum && typeof value !== expectedType) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Parameter "${name}" must be of type ${definition.type} for the ${spaceType} space`
+      };
+    }
+
+    if (definition.min !== undefined && (value < definition.min || value > definition.max)) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Parameter "${name}" must be between ${definition.min} and ${definition.max} for the ${spaceType} space`
+      };
+    }
+
+    if (definition.type === "integer" && !Number.isInteger(value)) {
+      throw {
+        code: MCP_ERROR_CODES.InvalidParams,
+        message: `Parameter "${name}" must be an integer for the ${spaceType} space`
+      };
+    }
+
+    overrides[parameterConfigKey(name, definition)] = definition.enum ? String(value) : value;
+  }
+
+  return { ...config, ...overrides };
+}
 
 /**
- * Process 3D asset generation based on the detected space type
+ * Process 3D asset generation with the backend registered for the space type
  */
 export async function process3dAsset({
   spaceType,
@@ -21,7 +108,9 @@ export async function process3dAsset({
   workDir,
   config,
   retryWithBackoff,
-  notifyResourceListChanged
+  notifyResourceListChanged,
+  signal = null,
+  artifacts = {}
 }) {
   // Validate critical parameters
   if (!assetsDir || typeof assetsDir !== "string") {
@@ -36,6 +125,7 @@ export async function process3dAsset({
     throw new Error("spaceType must be defined in process3dAsset");
   }
   const params = {
+    spaceType,
     modelClient,
     imageFile,
     imagePath,
@@ -49,21 +139,14 @@ export async function process3dAsset({
     workDir,
     config,
     retryWithBackoff,
-    notifyResourceListChanged
+    notifyResourceListChanged,
+    signal,
+    artifacts
   };
 
-  // Call the appropriate workflow based on the space type
-  switch (spaceType) {
-    case SPACE_TYPE.INSTANTMESH:
-      return await processInstantMesh(params);
-    
-    case SPACE_TYPE.HUNYUAN3D:
-      return await processHunyuan3d(params);
-    
-    case SPACE_TYPE.HUNYUAN3D_MINI_TURBO:
-      return await processHunyuan3dMiniTurbo(params);
-    
-    default:
-      throw new Error(`Unsupported space type: ${spaceType}`);
+  const backend = getBackend(spaceType);
+  if (!backend) {
+    throw new Error(`Unsupported space type: ${spaceType}`);
   }
+  return await backend.run(params);
 }
\ No newline at end of file
@@ -1,14 +1,24 @@
 import { promises as fs } from "fs";
 import path from "path";
 import { log } from "../logger.js";
+import { reportOperationProgress } from "../operations.js";
 import { saveFileFromData } from "../utils.js";
+import { recordJobArtifact } from "../jobStore.js";
 import sharp from "sharp";
 import crypto from "crypto";
 
+// Per-call generation parameters supported by InstantMesh, with their valid ranges
+export const INSTANTMESH_PARAMETERS = {
+  steps: { type: "integer", min: 30, max: 75, default: 75, description: "Multi-view diffusion steps" },
+  seed: { type: "integer", min: 0, max: 10000000, default: 42, description: "Seed for multi-view generation" },
+  remove_background: { type: "boolean", default: true, description: "Remove the background of the input image" }
+};
+
 /**
  * Workflow for InstantMesh space
  */
 export async function processInstantMesh({
+  spaceType,
   modelClient,
   imageFile,
   imagePath,
@@ -22,7 +32,9 @@ export async function processInstantMesh({
   workDir,
   config,
   retryWithBackoff,
-  notifyResourceListChanged
+  notifyResourceListChanged,
+  signal = null,
+  artifacts = {}
 }) {
   const {
     model3dSteps,
@@ -32,65 +44,77 @@ export async function processInstantMesh({
     // It's only applicable to Hunyuan3D-2mini-Turbo space
   } = config;
   
-  // Convert the original image to PNG to ensure format consistency
-  await log('INFO', "Converting image to PNG for API compatibility", workDir);
-  const pngBuffer = await sharp(imageFile).png().toBuffer();
-  const mimeType = 'image/png';
-  const imageFilename = `input_${Date.now()}_${crypto.randomBytes(4).toString("hex")}.png`;
-  
-  // 2.1: Check if the image is valid
-  await log('DEBUG', "Validating image for 3D conversion with InstantMesh...", workDir);
-  await log('INFO', "Using InstantMesh space", workDir);
-  
-  const checkResult = await retryWithBackoff(async () => {
-    return await modelClient.predict("/check_input_image", [
-      new File([pngBuffer], imageFilename, { type: mimeType })
-    ]);
-  }, operationId);
-  
-  // 2.2: Preprocess the image (with background removal)
-  await log('DEBUG', "Preprocessing image with InstantMesh...", workDir);
-  const preprocessResult = await retryWithBackoff(async () => {
-    return await modelClient.predict("/preprocess", [
-      new File([pngBuffer], imageFilename, { type: mimeType }),
-      model3dRemoveBackground // Use configured value
-    ]);
-  }, operationId);
-  
-  if (!preprocessResult || !preprocessResult.data) {
-    throw new Error("Image preprocessing failed");
+  let processedImagePath = artifacts["3d_processed"];
+  
+  if (processedImagePath) {
+    // Resuming a job: the image was already validated and preprocessed by an earlier run
+    await log('INFO', `Using existing preprocessed image: ${processedImagePath}`, workDir);
+  } else {
+    // Convert the original image to PNG to ensure format consistency
+    await log('INFO', "Converting image to PNG for API compatibility", workDir);
+    const pngBuffer = await sharp(imageFile).png().toBuffer();
+    const mimeType = 'image/png';
+    const imageFilename = `input_${Date.now()}_${crypto.randomBytes(4).toString("hex")}.png`;
+  
+    // 2.1: Check if the image is valid
+    await log('DEBUG', "Validating image for 3D conversion with InstantMesh...", workDir);
+    await log('INFO', "Using InstantMesh space", workDir);
+  
+    const checkResult = await retryWithBackoff(async () => {
+      return await modelClient.predict("/check_input_image", [
+        new File([pngBuffer], imageFilename, { type: mimeType })
+      ]);
+    }, operationId, 3, 5000, signal);
+  
+    // 2.2: Preprocess the image (with background removal)
+    await reportOperationProgress(operationId, 30, "Preprocessing image");
+    await log('DEBUG', "Preprocessing image with InstantMesh...", workDir);
+    const preprocessResult = await retryWithBackoff(async () => {
+      return await modelClient.predict("/preprocess", [
+        new File([pngBuffer], imageFilename, { type: mimeType }),
+        model3dRemoveBackground // Use configured value
+      ]);
+    }, operationId, 3, 5000, signal);
+  
+    if (!preprocessResult || !preprocessResult.data) {
+      throw new Error("Image preprocessing failed");
+    }
+  
+    await log('DEBUG', "Successfully preprocessed image with InstantMesh", workDir);
+  
+    // Save the preprocessed image
+    const processedResult = await saveFileFromData(
+      preprocessResult.data,
+      "3d_processed",
+      "png",
+      toolName,
+      assetsDir,
+      hfToken,
+      modelSpace,
+      workDir
+    );
+    processedImagePath = processedResult.filePath;
+    await log('INFO', `Preprocessed image saved at: ${processedImagePath}`, workDir);
+    await recordJobArtifact(operationId, "3d_processed", processedImagePath, spaceType);
+  
+    // Notify clients that a new resource is available
+    await notifyResourceListChanged();
   }
   
-  await log('DEBUG', "Successfully preprocessed image with InstantMesh", workDir);
-  
-  // Save the preprocessed image
-  const processedResult = await saveFileFromData(
-    preprocessResult.data,
-    "3d_processed",
-    "png",
-    toolName,
-    assetsDir,
-    hfToken,
-    modelSpace,
-    workDir
-  );
-  const processedImagePath = processedResult.filePath;
-  await log('INFO', `Preprocessed image saved at: ${processedImagePath}`, workDir);
-  
-  // Notify clients that a new resource is available
-  await notifyResourceListChanged();
-  
   // 2.3: Generate multi-views
+  // Always re-run on resume: /make3d reads the multi-views from the Space session state
   await log('DEBUG', "Generating multi-views with InstantMesh...", workDir);
+  await reportOperationProgress(operationId, 45, "Generating multi-view images");
   const processedImageFile = await fs.readFile(processedImagePath);
   
   // Use configured values or defaults for InstantMesh with validation
   // InstantMesh steps range: 30-75
-  let steps = model3dSteps !== null ? model3dSteps : 75; // Default: 75
-  steps = Math.max(30, Math.min(75, steps));
+  const { steps: stepsRange, seed: seedRange } = INSTANTMESH_PARAMETERS;
+  let steps = model3dSteps ?? stepsRange.default; // Default: 75
+  steps = Math.max(stepsRange.min, Math.min(stepsRange.max, steps));
   
-  // Any integer is valid for seed, but use default if not provided
-  const seed = model3dSeed !== null ? model3dSeed : 42; // Default: 42
+  // Use default seed if not provided
+  const seed = model3dSeed ?? seedRange.default; // Default: 42
   
   await log('INFO', `InstantMesh parameters - steps: ${steps}, seed: ${seed}`, workDir);
   
@@ -100,7 +124,7 @@ export async function processInstantMesh({
       steps,
       seed
     ]);
-  }, operationId);
+  }, operationId, 3, 5000, signal);
   
   if (!mvsResult || !mvsResult.data) {
     throw new Error("Multi-view generation failed");
@@ -120,6 +144,7 @@ export async function processInstantMesh({
     workDir
   );
   const mvsImagePath = mvsResult2.filePath;
+  // Not recorded for resuming: /make3d reads the multi-view result from the session, which a restart loses
   await log('INFO', `Multi-view image saved at: ${mvsImagePath}`, workDir);
   
   // Notify clients that a new resource is available
@@ -127,11 +152,12 @@ export async function processInstantMesh({
   
   // 2.4: Generate 3D models (OBJ and GLB)
   await log('DEBUG', "Generating 3D models with InstantMesh...", workDir);
+  await reportOperationProgress(operationId, 60, "Generating 3D models");
   
   // This step is particularly prone to GPU quota errors, so use retry with backoff
   const modelResult = await retryWithBackoff(async () => {
     return await modelClient.predict("/make3d", []);
-  }, operationId, 5); // Pass operationId and more retries for this critical step
+  }, operationId, 5, 5000, signal); // Pass operationId and more retries for this critical step
   
   if (!modelResult || !modelResult.data || !modelResult.data.length) {
     throw new Error("3D model generation failed");
@@ -139,6 +165,9 @@ export async function processInstantMesh({
   
   await log('DEBUG', "Successfully generated 3D models with InstantMesh", workDir);
   
+  // Stop here if the operation was cancelled while the models were being generated
+  signal?.throwIfAborted();
+  
   // Save debug information for troubleshooting
   const modelDebugFilename = path.join(assetsDir, `model_data_${Date.now()}.json`);
   await fs.writeFile(modelDebugFilename, JSON.stringify(modelResult, null, 2));
@@ -150,6 +179,7 @@ export async function processInstantMesh({
   await log('DEBUG', `InstantMesh: Using modelResult.data[0] for OBJ and modelResult.data[1] for GLB`, workDir);
   
   // Save both model formats and notify clients of resource changes
+  await reportOperationProgress(operationId, 85, "Downloading OBJ and GLB models");
   const objResult = await saveFileFromData(
     objModelData, 
     "3d_model", 
@@ -184,4 +214,17 @@ export async function processInstantMesh({
     objResult,
     glbResult
   };
-}
\ No newline at end of file
+}
+
+// Registry entry (see registry.js)
+export const backend = {
+  id: "instantmesh",
+  name: "InstantMesh",
+  endpoints: ["/check_input_image", "/preprocess", "/generate_mvs", "/make3d"],
+  detectionPriority: 20,
+  namePatterns: ["instantmesh"],
+  spaceNames: ["InstantMesh", "instantmesh", "Instantmesh"],
+  parameters: INSTANTMESH_PARAMETERS,
+  sessionStateful: true, // /make3d builds the mesh from the session's last /generate_mvs result
+  run: processInstantMesh
+};
@@ -0,0 +1,189 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { log } from "../logger.js";
+import { validateNumericRange } from "../validation.js";
+import { backend as instantMeshBackend } from "./instantMesh.js";
+import { backend as hunyuan3dBackend } from "./hunyuan3d.js";
+import { backend as hunyuan3dMiniTurboBackend } from "./hunyuan3dMiniTurbo.js";
+import { backend as trellisBackend } from "./trellis.js";
+import { backend as stableFast3dBackend } from "./stableFast3d.js";
+import { backend as tripoSRBackend } from "./triposr.js";
+
+// Registry of 3D backends. A backend describes one kind of Space:
+//   id                 - MODEL_SPACE_TYPE value (e.g., "instantmesh")
+//   name               - Display name (e.g., "InstantMesh")
+//   endpoints          - Endpoint signature; a Space exposing any of these endpoints is of this type
+//   matchAllEndpoints  - Only match Spaces exposing all of the endpoints, for signatures made of
+//                        generic endpoint names (e.g., "/generate")
+//   detectionPriority  - Backends with higher priority are checked first (default: 0), so a
+//                        backend sharing endpoints with another must rank above it
+//   namePatterns       - Lowercase substrings of the Space name, used when endpoint detection fails
+//   spaceNames         - Usual Space names, tried under the same owner when the configured Space is missing
+//   parameters         - Per-call parameters: { type, min, max, enum, default, defaultLabel, description, configKey }
+//   run(params)        - Runs the workflow and resolves to { objResult, glbResult, ... }
+//   supportsMultiView  - Optional async (modelClient) => boolean for multi-view input
+//   sessionStateful    - Endpoints read per-session state left by the previous call (e.g., a /make3d
+//                        that uses the images of /generate_mvs), so jobs on one Space run one at a time
+
+const backends = new Map(); // Internal module state: backend ID -> backend
+
+/**
+ * Config key holding the .env value and per-call override of a parameter
+ * (e.g., "guidance_scale" -> "model3dGuidanceScale")
+ * @param {string} name - The parameter name
+ * @param {Object} definition - The parameter definition, which may set configKey explicitly
+ */
+export function parameterConfigKey(name, definition = {}) {
+  if (definition.configKey) {
+    return definition.configKey;
+  }
+  return "model3d" + name.split("_").map(part => part.charAt(0).toUpperCase() + part.slice(1)).join("");
+}
+
+/**
+ * Add a backend to the registry
+ * @param {Object} backend - The backend description (see above)
+ */
+export function registerBackend(backend) {
+  if (!backend || typeof backend.id !== "string" || !/^[a-z0-9_]+$/.test(backend.id)) {
+    throw new Error("Backend id must be a lowercase string of letters, digits and underscores");
+  }
+  if (typeof backend.run !== "function") {
+    throw new Error(`Backend ${backend.id} must define a run() function`);
+  }
+  if (!Array.isArray(backend.endpoints)) {
+    throw new Error(`Backend ${backend.id} must define its endpoint signature as an array`);
+  }
+  if (backends.has(backend.id)) {
+    throw new Error(`Backend ${backend.id} is already registered`);
+  }
+
+  backends.set(backend.id, {
+    name: backend.id,
+    detectionPriority: 0,
+    namePatterns: [],
+    spaceNames: [],
+    matchAllEndpoints: false,
+    parameters: {},
+    sessionStateful: false,
+    ...backend
+  });
+}
+
+export function getBackend(id) {
+  return backends.get(id) || null;
+}
+
+// Backends in detection order
+export function listBackends() {
+  return [...backends.values()].sort((a, b) => b.detectionPriority - a.detectionPriority);
+}
+
+/**
+ * Find the backend whose endpoint signature matches a Space
+ * @param {string[]} endpoints - The named endpoints of the Space
+ * @returns {Object|null} The backend, or null if none matches
+ */
+export function findBackendByEndpoints(endpoints) {
+  return listBackends().find(backend => backend.matchAllEndpoints
+    ? backend.endpoints.every(endpoint => endpoints.includes(endpoint))
+    : backend.endpoints.some(endpoint => endpoints.includes(endpoint))) || null;
+}
+
+/**
+ * Find the backend whose name patterns match a Space name
+ * @param {string} modelSpace - The Space (e.g., "user/InstantMesh")
+ * @returns {Object|null} The backend, or null if none matches
+ */
+export function findBackendByName(modelSpace) {
+  const lowerSpace = modelSpace.toLowerCase();
+  return listBackends().find(backend => backend.namePatterns.some(pattern => lowerSpace.includes(pattern))) || null;
+}
+
+/**
+ * Usual names of the Space's backend under the same owner, for when the configured name does not exist
+ * @param {string} modelSpace - The configured Space (e.g., "user/instantmesh")
+ * @returns {string[]} Alternative Space names to try
+ */
+export function getAlternativeSpaceNames(modelSpace) {
+  const backend = findBackendByName(modelSpace);
+  if (!backend) {
+    return [];
+  }
+  const owner = modelSpace.split("/")[0];
+  return backend.spaceNames.map(name => `${owner}/${name}`);
+}
+
+/**
+ * Load third-party backends from a directory. Every .js/.mjs file must export the
+ * backend description as its default export or as `backend`.
+ * @param {string} directory - Directory holding backend modules
+ * @param {string} workDir - The working directory for log files
+ * @returns {Promise<string[]>} IDs of the backends that were loaded
+ */
+export async function loadBackendsFromDirectory(directory, workDir) {
+  let files;
+  try {
+    files = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      await log('DEBUG', `No backends directory at ${directory}`, workDir);
+      return [];
+    }
+    throw error;
+  }
+
+  const loaded = [];
+  for (const file of files.filter(file => /\.(m?js)$/.test(file)).sort()) {
+    const filePath = path.join(directory, file);
+    try {
+      const module = await import(pathToFileURL(filePath).href);
+      const backend = module.default || module.backend;
+      registerBackend(backend);
+      loaded.push(backend.id);
+      await log('INFO', `Loaded 3D backend "${backend.id}" from ${filePath}`, workDir);
+    } catch (error) {
+      await log('ERROR', `Failed to load 3D backend from ${filePath}: ${error.message}`, workDir);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Read the .env defaults of parameters that have no config value yet, such as those of
+ * third-party backends. A parameter "foo_bar" is read from MODEL_3D_FOO_BAR.
+ * @param {Object} config - The server config; missing values are added to it
+ */
+export function applyBackendEnvDefaults(config) {
+  for (const backend of backends.values()) {
+    for (const [name, definition] of Object.entries(backend.parameters)) {
+      const configKey = parameterConfigKey(name, definition);
+      if (config[configKey] !== undefined) continue;
+
+      const envName = `MODEL_3D_${name.toUpperCase()}`;
+      const raw = process.env[envName];
+      if (!raw) {
+        config[configKey] = null;
+      } else if (definition.type === "boolean") {
+        config[configKey] = raw.toLowerCase() === "true";
+      } else if (definition.type === "integer" || definition.type === "number") {
+        const value = definition.type === "integer" ? parseInt(raw) : parseFloat(raw);
+        config[configKey] = validateNumericRange(value, definition.min ?? -Infinity, definition.max ?? Infinity, null, envName);
+      } else if (definition.enum && !definition.enum.includes(raw)) {
+        console.error(`Invalid ${envName} value: "${raw}". Allowed values: [${definition.enum.join(', ')}]. Using default.`);
+        config[configKey] = null;
+      } else {
+        config[configKey] = raw;
+      }
+    }
+  }
+}
+
+// Built-in backends
+registerBackend(instantMeshBackend);
+registerBackend(hunyuan3dMiniTurboBackend);
+registerBackend(hunyuan3dBackend);
+registerBackend(trellisBackend);
+registerBackend(stableFast3dBackend);
+registerBackend(tripoSRBackend);
@@ -0,0 +1,125 @@
+import { log } from "../logger.js";
+import { reportOperationProgress } from "../operations.js";
+import { saveFileFromData, buildEndpointArguments } from "../utils.js";
+import sharp from "sharp";
+import crypto from "crypto";
+
+// Per-call generation parameters supported by Stable Fast 3D, with their valid ranges
+export const STABLE_FAST_3D_PARAMETERS = {
+  foreground_ratio: { type: "number", min: 0.5, max: 1.0, default: 0.85, description: "Share of the image taken up by the object after background removal" },
+  remesh: { type: "string", enum: ["None", "Triangle", "Quad"], default: "None", description: "Remeshing of the output mesh" },
+  vertex_count: { type: "integer", min: -1, max: 20000, default: -1, description: "Target vertex count when remeshing (-1: no target)" },
+  texture_size: { type: "integer", min: 512, max: 2048, default: 1024, description: "Texture resolution of the GLB in pixels" }
+};
+
+// The Space's button label that means the image is ready for reconstruction
+const RUN_LABEL = "Run";
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+// Outputs are plain values or Gradio updates ({ __type__: "update", value })
+const outputValue = (output) => (output && typeof output === "object" && "value" in output ? output.value : output);
+
+/**
+ * Workflow for Stable Fast 3D space. The Space keeps the preprocessed image in its session state:
+ * /requires_bg_remove prepares it, and /run_button either removes the background or builds the mesh,
+ * depending on the label of the run button it is given.
+ */
+export async function processStableFast3d({
+  modelClient,
+  imageFile,
+  imagePath,
+  operationId,
+  toolName,
+  assetsDir,
+  hfToken,
+  modelSpace,
+  workDir,
+  config,
+  retryWithBackoff,
+  notifyResourceListChanged,
+  signal = null
+}) {
+  if (!assetsDir || typeof assetsDir !== "string") {
+    throw new Error("assetsDir must be a defined string");
+  }
+
+  const { model3dForegroundRatio, model3dRemesh, model3dVertexCount, model3dTextureSize } = config;
+
+  await log('INFO', "Processing with Stable Fast 3D space", workDir);
+  await log('DEBUG', `Image path: ${imagePath}`, workDir);
+
+  // Set parameters with defaults
+  const foregroundRatio = clamp(model3dForegroundRatio ?? STABLE_FAST_3D_PARAMETERS.foreground_ratio.default, STABLE_FAST_3D_PARAMETERS.foreground_ratio);
+  const remesh = STABLE_FAST_3D_PARAMETERS.remesh.enum.includes(model3dRemesh) ? model3dRemesh : STABLE_FAST_3D_PARAMETERS.remesh.default;
+  const vertexCount = clamp(model3dVertexCount ?? STABLE_FAST_3D_PARAMETERS.vertex_count.default, STABLE_FAST_3D_PARAMETERS.vertex_count);
+  const textureSize = clamp(model3dTextureSize ?? STABLE_FAST_3D_PARAMETERS.texture_size.default, STABLE_FAST_3D_PARAMETERS.texture_size);
+
+  await log('INFO', `Parameters: foreground_ratio=${foregroundRatio}, remesh=${remesh}, vertex_count=${vertexCount}, texture_size=${textureSize}`, workDir);
+
+  const pngBuffer = await sharp(imageFile).png().toBuffer();
+  const inputImage = new File([pngBuffer], `input_${Date.now()}_${crypto.randomBytes(4).toString("hex")}.png`, { type: "image/png" });
+
+  // Load the image into the session; images without transparency need their background removed first
+  await reportOperationProgress(operationId, 30, "Preparing image");
+  const prepareResult = await retryWithBackoff(async () => {
+    return await modelClient.predict("/requires_bg_remove", [inputImage, foregroundRatio]);
+  }, operationId, 3, 5000, signal);
+  const label = outputValue(prepareResult?.data?.[0]);
+
+  const runArguments = async (runLabel) => await buildEndpointArguments(modelClient, "/run_button", {
+    run_btn: runLabel,
+    input_image: inputImage,
+    foreground_ratio: foregroundRatio,
+    remesh_option: remesh,
+    vertex_count: vertexCount,
+    texture_size: textureSize
+  });
+
+  if (label !== RUN_LABEL) {
+    await reportOperationProgress(operationId, 40, "Removing background");
+    await log('DEBUG', `Run button label is "${label}", removing the background first`, workDir);
+    const removeArguments = await runArguments(label || "Remove Background");
+    await retryWithBackoff(async () => {
+      return await modelClient.predict("/run_button", removeArguments);
+    }, operationId, 3, 5000, signal);
+  }
+
+  await reportOperationProgress(operationId, 55, "Generating 3D model");
+  const generateArguments = await runArguments(RUN_LABEL);
+  const modelResult = await retryWithBackoff(async () => {
+    return await modelClient.predict("/run_button", generateArguments);
+  }, operationId, 5, 5000, signal);
+
+  if (!modelResult || !modelResult.data) {
+    throw new Error("3D model generation failed");
+  }
+
+  // The GLB is the model viewer output; the other outputs update buttons and previews
+  const glbData = modelResult.data.map(outputValue).find(output => output?.url && /\.glb$/i.test(output.orig_name || output.path || output.url));
+  if (!glbData) {
+    throw new Error("3D model generation failed: no GLB in response");
+  }
+
+  await reportOperationProgress(operationId, 85, "Downloading GLB model");
+  const glbResult = await saveFileFromData(glbData, "3d_model", "glb", toolName, assetsDir, hfToken, modelSpace, workDir);
+  await log('INFO', `GLB model saved at: ${glbResult.filePath}`, workDir);
+  await notifyResourceListChanged();
+
+  const objResult = glbResult; // Alias for consistency, as Stable Fast 3D doesn't provide a separate OBJ
+
+  return { objResult, glbResult };
+}
+
+// Registry entry (see registry.js)
+export const backend = {
+  id: "stable_fast_3d",
+  name: "Stable Fast 3D",
+  endpoints: ["/requires_bg_remove"],
+  detectionPriority: 0,
+  namePatterns: ["stable-fast-3d", "stablefast3d", "sf3d"],
+  spaceNames: ["stable-fast-3d", "Stable-Fast-3D"],
+  parameters: STABLE_FAST_3D_PARAMETERS,
+  sessionStateful: true, // The second /run_button call builds the mesh from the session's preprocessed image
+  run: processStableFast3d
+};
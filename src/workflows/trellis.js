@@ -0,0 +1,177 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { log } from "../logger.js";
+import { reportOperationProgress } from "../operations.js";
+import { saveFileFromData, buildEndpointArguments, withAbortSignal, withTimeout } from "../utils.js";
+import { recordJobArtifact } from "../jobStore.js";
+import sharp from "sharp";
+import crypto from "crypto";
+
+// Per-call generation parameters supported by TRELLIS, with their valid ranges.
+// Sparse structure ("ss") sampling builds the coarse shape, structured latent ("slat") sampling its detail and texture.
+export const TRELLIS_PARAMETERS = {
+  seed: { type: "integer", min: 0, max: 2147483647, default: 0, defaultLabel: "random", description: "Seed for generation" },
+  ss_guidance_strength: { type: "number", min: 0, max: 10, default: 7.5, description: "Guidance strength of the sparse structure (shape) stage" },
+  ss_sampling_steps: { type: "integer", min: 1, max: 50, default: 12, description: "Sampling steps of the sparse structure (shape) stage" },
+  slat_guidance_strength: { type: "number", min: 0, max: 10, default: 3.0, description: "Guidance strength of the structured latent (detail and texture) stage" },
+  slat_sampling_steps: { type: "integer", min: 1, max: 50, default: 12, description: "Sampling steps of the structured latent (detail and texture) stage" },
+  mesh_simplify: { type: "number", min: 0.9, max: 0.98, default: 0.95, description: "Ratio of triangles removed when extracting the GLB" },
+  texture_size: { type: "integer", min: 512, max: 2048, default: 1024, description: "Texture size of the GLB in pixels, rounded to a multiple of 512" }
+};
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+/**
+ * Workflow for TRELLIS space
+ */
+export async function processTrellis({
+  spaceType,
+  modelClient,
+  imageFile,
+  imagePath,
+  prompt,
+  operationId,
+  toolName,
+  assetsDir,
+  hfToken,
+  modelSpace,
+  workDir,
+  config,
+  retryWithBackoff,
+  notifyResourceListChanged,
+  signal = null,
+  artifacts = {}
+}) {
+  if (!assetsDir || typeof assetsDir !== "string") {
+    throw new Error("assetsDir must be a defined string");
+  }
+
+  const {
+    model3dSeed,
+    model3dSsGuidanceStrength,
+    model3dSsSamplingSteps,
+    model3dSlatGuidanceStrength,
+    model3dSlatSamplingSteps,
+    model3dMeshSimplify,
+    model3dTextureSize
+  } = config;
+
+  await log('INFO', "Processing with TRELLIS space", workDir);
+  await log('DEBUG', `Image path: ${imagePath}, prompt: ${prompt || "(none)"}`, workDir);
+
+  // Newer TRELLIS versions keep the generated model in a per-session directory created by /start_session
+  const apiInfo = await withAbortSignal(withTimeout(modelClient.view_api(true), 30000, "view_api timed out"), signal);
+  if (apiInfo?.named_endpoints?.["/start_session"]) {
+    await withAbortSignal(modelClient.predict("/start_session", []), signal);
+  }
+
+  let processedImagePath = artifacts["3d_processed"];
+
+  if (processedImagePath) {
+    // Resuming a job: the image was already preprocessed by an earlier run
+    await log('INFO', `Using existing preprocessed image: ${processedImagePath}`, workDir);
+  } else {
+    // Remove the background and crop the image to the object
+    await reportOperationProgress(operationId, 30, "Preprocessing image");
+    const pngBuffer = await sharp(imageFile).png().toBuffer();
+    const imageFilename = `input_${Date.now()}_${crypto.randomBytes(4).toString("hex")}.png`;
+    const preprocessResult = await retryWithBackoff(async () => {
+      return await modelClient.predict("/preprocess_image", [
+        new File([pngBuffer], imageFilename, { type: "image/png" })
+      ]);
+    }, operationId, 3, 5000, signal);
+
+    if (!preprocessResult || !preprocessResult.data) {
+      throw new Error("Image preprocessing failed");
+    }
+
+    const processedResult = await saveFileFromData(
+      preprocessResult.data,
+      "3d_processed",
+      "png",
+      toolName,
+      assetsDir,
+      hfToken,
+      modelSpace,
+      workDir
+    );
+    processedImagePath = processedResult.filePath;
+    await log('INFO', `Preprocessed image saved at: ${processedImagePath}`, workDir);
+    await recordJobArtifact(operationId, "3d_processed", processedImagePath, spaceType);
+    await notifyResourceListChanged();
+  }
+
+  // Set parameters with defaults
+  const seed = model3dSeed ?? crypto.randomInt(0, TRELLIS_PARAMETERS.seed.max);
+  const ssGuidanceStrength = clamp(model3dSsGuidanceStrength ?? TRELLIS_PARAMETERS.ss_guidance_strength.default, TRELLIS_PARAMETERS.ss_guidance_strength);
+  const ssSamplingSteps = clamp(model3dSsSamplingSteps ?? TRELLIS_PARAMETERS.ss_sampling_steps.default, TRELLIS_PARAMETERS.ss_sampling_steps);
+  const slatGuidanceStrength = clamp(model3dSlatGuidanceStrength ?? TRELLIS_PARAMETERS.slat_guidance_strength.default, TRELLIS_PARAMETERS.slat_guidance_strength);
+  const slatSamplingSteps = clamp(model3dSlatSamplingSteps ?? TRELLIS_PARAMETERS.slat_sampling_steps.default, TRELLIS_PARAMETERS.slat_sampling_steps);
+  const meshSimplify = clamp(model3dMeshSimplify ?? TRELLIS_PARAMETERS.mesh_simplify.default, TRELLIS_PARAMETERS.mesh_simplify);
+  const textureSize = clamp(Math.round((model3dTextureSize ?? TRELLIS_PARAMETERS.texture_size.default) / 512) * 512, TRELLIS_PARAMETERS.texture_size);
+
+  await log('INFO', `Parameters: seed=${seed}, ss_guidance_strength=${ssGuidanceStrength}, ss_sampling_steps=${ssSamplingSteps}, slat_guidance_strength=${slatGuidanceStrength}, slat_sampling_steps=${slatSamplingSteps}, mesh_simplify=${meshSimplify}, texture_size=${textureSize}`, workDir);
+
+  // Generate the 3D model. Always re-run on resume: /extract_glb reads it from the Space session state.
+  // The endpoint's parameters differ between TRELLIS versions, so they are passed by name.
+  await reportOperationProgress(operationId, 45, "Generating 3D model");
+  const processedImageFile = await fs.readFile(processedImagePath);
+  const generateArguments = await buildEndpointArguments(modelClient, "/image_to_3d", {
+    image: new File([processedImageFile], path.basename(processedImagePath), { type: "image/png" }),
+    multiimages: [],
+    is_multiimage: false,
+    seed,
+    ss_guidance_strength: ssGuidanceStrength,
+    ss_sampling_steps: ssSamplingSteps,
+    slat_guidance_strength: slatGuidanceStrength,
+    slat_sampling_steps: slatSamplingSteps
+  });
+  const generateResult = await retryWithBackoff(async () => {
+    return await modelClient.predict("/image_to_3d", generateArguments);
+  }, operationId, 5, 5000, signal);
+
+  if (!generateResult || !generateResult.data) {
+    throw new Error("3D model generation failed");
+  }
+
+  // Stop here if the operation was cancelled while the model was being generated
+  signal?.throwIfAborted();
+
+  // Extract a textured GLB from the generated model
+  await reportOperationProgress(operationId, 70, "Extracting GLB");
+  const extractResult = await retryWithBackoff(async () => {
+    return await modelClient.predict("/extract_glb", [meshSimplify, textureSize]);
+  }, operationId, 3, 5000, signal);
+
+  if (!extractResult || !extractResult.data || !extractResult.data.length) {
+    throw new Error("GLB extraction failed: no data in response");
+  }
+
+  // TRELLIS returns the model viewer file and the download button file; both are the GLB
+  const glbData = extractResult.data[1]?.url ? extractResult.data[1] : extractResult.data[0];
+  if (!glbData?.url) {
+    throw new Error("GLB extraction failed: no model file in response");
+  }
+
+  await reportOperationProgress(operationId, 85, "Downloading GLB model");
+  const glbResult = await saveFileFromData(glbData, "3d_model", "glb", toolName, assetsDir, hfToken, modelSpace, workDir);
+  await log('INFO', `GLB model saved at: ${glbResult.filePath}`, workDir);
+  await notifyResourceListChanged();
+
+  const objResult = glbResult; // Alias for consistency, as TRELLIS doesn't provide a separate OBJ
+
+  return { objResult, glbResult };
+}
+
+// Registry entry (see registry.js)
+export const backend = {
+  id: "trellis",
+  name: "TRELLIS",
+  endpoints: ["/image_to_3d", "/extract_glb"],
+  detectionPriority: 0,
+  namePatterns: ["trellis"],
+  spaceNames: ["TRELLIS", "trellis"],
+  parameters: TRELLIS_PARAMETERS,
+  sessionStateful: true, // /extract_glb extracts the model of the session's last /image_to_3d call
+  run: processTrellis
+};
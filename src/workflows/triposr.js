@@ -0,0 +1,134 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { log } from "../logger.js";
+import { reportOperationProgress } from "../operations.js";
+import { saveFileFromData } from "../utils.js";
+import { recordJobArtifact } from "../jobStore.js";
+import sharp from "sharp";
+import crypto from "crypto";
+
+// Per-call generation parameters supported by TripoSR, with their valid ranges
+export const TRIPOSR_PARAMETERS = {
+  foreground_ratio: { type: "number", min: 0.5, max: 1.0, default: 0.85, description: "Share of the image taken up by the object after background removal" },
+  mc_resolution: { type: "integer", min: 32, max: 320, default: 256, description: "Marching cubes resolution of the mesh" },
+  remove_background: { type: "boolean", default: true, description: "Remove the background of the input image" }
+};
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+/**
+ * Workflow for TripoSR space
+ */
+export async function processTripoSR({
+  spaceType,
+  modelClient,
+  imageFile,
+  imagePath,
+  operationId,
+  toolName,
+  assetsDir,
+  hfToken,
+  modelSpace,
+  workDir,
+  config,
+  retryWithBackoff,
+  notifyResourceListChanged,
+  signal = null,
+  artifacts = {}
+}) {
+  if (!assetsDir || typeof assetsDir !== "string") {
+    throw new Error("assetsDir must be a defined string");
+  }
+
+  const { model3dForegroundRatio, model3dMcResolution, model3dRemoveBackground } = config;
+
+  await log('INFO', "Processing with TripoSR space", workDir);
+  await log('DEBUG', `Image path: ${imagePath}`, workDir);
+
+  // Set parameters with defaults
+  const foregroundRatio = clamp(model3dForegroundRatio ?? TRIPOSR_PARAMETERS.foreground_ratio.default, TRIPOSR_PARAMETERS.foreground_ratio);
+  const mcResolution = clamp(model3dMcResolution ?? TRIPOSR_PARAMETERS.mc_resolution.default, TRIPOSR_PARAMETERS.mc_resolution);
+  const removeBackground = model3dRemoveBackground !== false;
+
+  await log('INFO', `Parameters: foreground_ratio=${foregroundRatio}, mc_resolution=${mcResolution}, remove_background=${removeBackground}`, workDir);
+
+  let processedImagePath = artifacts["3d_processed"];
+
+  if (processedImagePath) {
+    // Resuming a job: the image was already preprocessed by an earlier run
+    await log('INFO', `Using existing preprocessed image: ${processedImagePath}`, workDir);
+  } else {
+    // Remove the background and resize the object to the foreground ratio
+    await reportOperationProgress(operationId, 30, "Preprocessing image");
+    const pngBuffer = await sharp(imageFile).png().toBuffer();
+    const imageFilename = `input_${Date.now()}_${crypto.randomBytes(4).toString("hex")}.png`;
+    const preprocessResult = await retryWithBackoff(async () => {
+      return await modelClient.predict("/preprocess", [
+        new File([pngBuffer], imageFilename, { type: "image/png" }),
+        removeBackground,
+        foregroundRatio
+      ]);
+    }, operationId, 3, 5000, signal);
+
+    if (!preprocessResult || !preprocessResult.data) {
+      throw new Error("Image preprocessing failed");
+    }
+
+    const processedResult = await saveFileFromData(
+      preprocessResult.data,
+      "3d_processed",
+      "png",
+      toolName,
+      assetsDir,
+      hfToken,
+      modelSpace,
+      workDir
+    );
+    processedImagePath = processedResult.filePath;
+    await log('INFO', `Preprocessed image saved at: ${processedImagePath}`, workDir);
+    await recordJobArtifact(operationId, "3d_processed", processedImagePath, spaceType);
+    await notifyResourceListChanged();
+  }
+
+  // Reconstruct the mesh; TripoSR returns it as OBJ and GLB
+  await reportOperationProgress(operationId, 50, "Generating 3D models");
+  const processedImageFile = await fs.readFile(processedImagePath);
+  const modelResult = await retryWithBackoff(async () => {
+    return await modelClient.predict("/generate", [
+      new File([processedImageFile], path.basename(processedImagePath), { type: "image/png" }),
+      mcResolution
+    ]);
+  }, operationId, 5, 5000, signal);
+
+  if (!modelResult || !modelResult.data || modelResult.data.length < 2) {
+    throw new Error("3D model generation failed: insufficient data in response");
+  }
+
+  // Stop here if the operation was cancelled while the models were being generated
+  signal?.throwIfAborted();
+
+  await reportOperationProgress(operationId, 85, "Downloading OBJ and GLB models");
+  const objResult = await saveFileFromData(modelResult.data[0], "3d_model", "obj", toolName, assetsDir, hfToken, modelSpace, workDir);
+  await log('INFO', `OBJ model saved at: ${objResult.filePath}`, workDir);
+  await notifyResourceListChanged();
+
+  const glbResult = await saveFileFromData(modelResult.data[1], "3d_model", "glb", toolName, assetsDir, hfToken, modelSpace, workDir);
+  await log('INFO', `GLB model saved at: ${glbResult.filePath}`, workDir);
+  await notifyResourceListChanged();
+
+  return { objResult, glbResult };
+}
+
+// Registry entry (see registry.js). TripoSR also exposes /check_input_image and /preprocess,
+// so it is checked before InstantMesh; /generate alone is too common a name to identify it.
+export const backend = {
+  id: "triposr",
+  name: "TripoSR",
+  endpoints: ["/check_input_image", "/preprocess", "/generate"],
+  matchAllEndpoints: true,
+  detectionPriority: 30,
+  namePatterns: ["triposr"],
+  spaceNames: ["TripoSR", "triposr"],
+  parameters: TRIPOSR_PARAMETERS,
+  run: processTripoSR
+};
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { promises as fs } from "fs";
+import { process3dAsset } from "../src/workflows/index.js";
+import { connectFakeSpace, createWorkDir, workflowArguments } from "./helpers/context.js";
+import { GLB, OBJ } from "./helpers/spaces.js";
+
+// Private Spaces serve their output files only to requests with the HF token
+describe("model downloads", () => {
+  let dir;
+  let space;
+
+  beforeEach(async () => {
+    dir = await createWorkDir();
+  });
+
+  afterEach(async () => {
+    await space?.close();
+    space = null;
+    await dir.cleanup();
+  });
+
+  const run = async (spaceType, endpoint, files, overrides = {}) => {
+    const connection = await connectFakeSpace(spaceType);
+    space = connection.space;
+    space.setHandler(endpoint, async (args, current) => files(current));
+    return await process3dAsset(await workflowArguments({ spaceType, client: connection.client, ...dir, ...overrides }));
+  };
+
+  const serverLog = () => fs.readFile(path.join(dir.workDir, "logs", "server.log"), "utf8");
+
+  const meshes = (options) => (current) => [
+    current.addFile("mesh.obj", OBJ, options),
+    current.addFile("mesh.glb", GLB, options)
+  ];
+
+  it("sends the HF token when downloading files of a private space", async () => {
+    const { glbResult } = await run("triposr", "/generate", meshes({ token: "hf_test_token" }));
+
+    const meshRequests = space.fileRequests.filter(({ name }) => name.startsWith("mesh."));
+    assert.deepEqual(meshRequests.map(({ authorization }) => authorization), ["Bearer hf_test_token", "Bearer hf_test_token"]);
+    assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+  });
+
+  it("fails on 401 when the HF token is not accepted", async () => {
+    await assert.rejects(
+      run("triposr", "/generate", meshes({ token: "hf_other_token" })),
+      /Failed to save file from data/
+    );
+    assert.match(await serverLog(), /401 Unauthorized\. This may be due to authentication issues/);
+  });
+
+  it("fails on 404 when the file is gone", async () => {
+    await assert.rejects(
+      run("instantmesh", "/make3d", meshes({ status: 404 })),
+      /Failed to save file from data/
+    );
+    assert.match(await serverLog(), /404 Not Found\. This may be due to an incorrect model space configuration/);
+  });
+
+  it("hunyuan3d fails on 401 when downloading the mesh", async () => {
+    await assert.rejects(
+      run("hunyuan3d", "/generation_all", (current) => [
+        current.addFile("white_mesh.glb", GLB, { token: "hf_other_token" }),
+        current.addFile("textured_mesh.glb", GLB, { token: "hf_other_token" }),
+        "<div></div>",
+        {}
+      ]),
+      /Failed to fetch mesh: 401 Unauthorized/
+    );
+  });
+
+  it("hunyuan3d_mini_turbo fails on 404 when downloading the mesh", async () => {
+    await assert.rejects(
+      run("hunyuan3d_mini_turbo", "/generation_all", (current) => [
+        { __type__: "update", value: current.addFile("white_mesh.glb", GLB, { status: 404 }) },
+        { __type__: "update", value: current.addFile("textured_mesh.glb", GLB, { status: 404 }) },
+        "<div></div>",
+        {},
+        1
+      ]),
+      /Failed to fetch mesh: 404 Not Found/
+    );
+  });
+
+  it("does not save a partial model when a download fails", async () => {
+    await assert.rejects(run("trellis", "/extract_glb", (current) => [
+      current.addFile("sample.glb", GLB, { status: 404 }),
+      current.addFile("sample.glb", GLB, { status: 404 })
+    ]));
+
+    const models = (await fs.readdir(dir.assetsDir)).filter(name => name.startsWith("3d_model_"));
+    assert.deepEqual(models, []);
+  });
+});
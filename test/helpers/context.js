@@ -0,0 +1,56 @@
+import os from "os";
+import path from "path";
+import { promises as fs } from "fs";
+import { Client } from "@gradio/client";
+import { startFakeGradioServer } from "./fakeGradioServer.js";
+import { SPACES, createTestImage } from "./spaces.js";
+import { retryWithBackoff } from "../../src/utils.js";
+
+// retryWithBackoff reports waits to the operation updates of the running server
+global.operationUpdates = global.operationUpdates || {};
+
+/**
+ * Start a fake Space and connect a Gradio client to it
+ * @param {Object|string} endpoints - Endpoint definitions, or the name of a Space in SPACES
+ * @returns {Promise<{ space: Object, client: Object }>}
+ */
+export async function connectFakeSpace(endpoints) {
+  const space = await startFakeGradioServer(typeof endpoints === "string" ? SPACES[endpoints] : endpoints);
+  const client = await Client.connect(space.url);
+  return { space, client };
+}
+
+/**
+ * Create a temporary working directory with an assets directory
+ * @returns {Promise<{ workDir: string, assetsDir: string, cleanup: Function }>}
+ */
+export async function createWorkDir() {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "game-asset-mcp-test-"));
+  const assetsDir = path.join(workDir, "assets");
+  await fs.mkdir(assetsDir);
+  return { workDir, assetsDir, cleanup: () => fs.rm(workDir, { recursive: true, force: true }) };
+}
+
+/**
+ * Arguments of process3dAsset for a job on a fake Space
+ * @param {Object} options - spaceType, client, workDir, assetsDir, and any argument to override
+ */
+export async function workflowArguments({ spaceType, client, workDir, assetsDir, ...overrides }) {
+  return {
+    spaceType,
+    modelClient: client,
+    imageFile: await createTestImage(),
+    imagePath: path.join(assetsDir, "input.png"),
+    prompt: "a wooden treasure chest",
+    operationId: `test-${Date.now()}`,
+    toolName: "generate_3d_asset",
+    assetsDir,
+    hfToken: "hf_test_token",
+    modelSpace: "test/fake-space",
+    workDir,
+    config: {},
+    retryWithBackoff,
+    notifyResourceListChanged: async () => {},
+    ...overrides
+  };
+}
@@ -0,0 +1,164 @@
+import http from "http";
+
+// A local HTTP server speaking the part of the Gradio protocol that @gradio/client uses when a
+// Space runs without a queue: GET /config, GET /info, POST /upload, POST /run/<endpoint> and
+// GET /file=<path>. Tests connect the real Client to it, so detection and the workflows run
+// against the same requests and response shapes as a live Space.
+
+/**
+ * Start a fake Gradio Space
+ * @param {Object} endpoints - Endpoint definitions by name ("/generate"):
+ *   parameters - Parameter names, or { name, default } for parameters with a default
+ *   returns    - Number of outputs of the endpoint
+ *   handler    - (args, space) => outputs; a thrown error is returned as a Gradio error
+ * @returns {Promise<Object>} The space: url, calls, uploads, fileRequests, addFile(), setHandler(), close()
+ */
+export async function startFakeGradioServer(endpoints) {
+  const handlers = new Map(Object.entries(endpoints).map(([name, { handler }]) => [name, handler]));
+  const files = new Map(); // Internal state: file name -> { buffer, mimeType, token, status }
+  let uploadCount = 0;
+
+  const space = {
+    url: null,
+    calls: [], // { endpoint, args } of every /run request
+    uploads: 0,
+    fileRequests: [], // { name, authorization } of every file download
+
+    /**
+     * Serve a file and return it as Gradio FileData
+     * @param {string} name - File name
+     * @param {Buffer} buffer - File content
+     * @param {Object} options
+     * @param {string} options.mimeType - Content type of the file
+     * @param {string} options.token - Bearer token required to download the file (401 without it)
+     * @param {number} options.status - HTTP status to answer instead of the file (e.g., 404)
+     */
+    addFile(name, buffer, { mimeType = "application/octet-stream", token = null, status = null } = {}) {
+      files.set(name, { buffer, mimeType, token, status });
+      return {
+        path: `/tmp/gradio/${name}`,
+        url: `${space.url}/file=${name}`,
+        orig_name: name,
+        size: buffer.length,
+        mime_type: mimeType,
+        meta: { _type: "gradio.FileData" }
+      };
+    },
+
+    // Replace the handler of an endpoint, e.g. to return a malformed response
+    setHandler(endpoint, handler) {
+      handlers.set(endpoint, handler);
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  // Every parameter and output is a component; the client maps payloads through them
+  const components = [];
+  const dependencies = Object.entries(endpoints).map(([name, definition], id) => {
+    const componentIds = (count) => Array.from({ length: count }, () => {
+      components.push({ id: components.length, type: "textbox", props: {} });
+      return components.length - 1;
+    });
+    return {
+      id,
+      api_name: name.slice(1),
+      inputs: componentIds(definition.parameters.length),
+      outputs: componentIds(definition.returns),
+      queue: false,
+      types: { generator: false, cancel: false }
+    };
+  });
+
+  const config = {
+    version: "4.44.1",
+    protocol: "sse_v3",
+    enable_queue: false,
+    components,
+    dependencies
+  };
+
+  const parameterInfo = (parameter) => {
+    const { name, default: defaultValue } = typeof parameter === "string" ? { name: parameter } : parameter;
+    return {
+      label: name,
+      parameter_name: name,
+      parameter_has_default: defaultValue !== undefined,
+      parameter_default: defaultValue ?? null,
+      component: "Textbox",
+      type: {},
+      python_type: { type: "Any", description: "" }
+    };
+  };
+
+  const info = {
+    named_endpoints: Object.fromEntries(Object.entries(endpoints).map(([name, definition]) => [name, {
+      parameters: definition.parameters.map(parameterInfo),
+      returns: Array.from({ length: definition.returns }, (_, index) => ({ label: `output_${index}`, component: "Textbox", type: {} }))
+    }])),
+    unnamed_endpoints: {}
+  };
+
+  const sendJson = (response, status, body) => {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  };
+
+  const readBody = async (request) => {
+    const chunks = [];
+    for await (const chunk of request) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    if (request.method === "GET" && pathname === "/config") {
+      sendJson(response, 200, config);
+    } else if (request.method === "GET" && pathname === "/info") {
+      sendJson(response, 200, info);
+    } else if (request.method === "POST" && pathname === "/upload") {
+      // The client uploads input files first and passes their server paths to the endpoint
+      await readBody(request);
+      space.uploads++;
+      sendJson(response, 200, [`/tmp/gradio/upload_${++uploadCount}.png`]);
+    } else if (request.method === "POST" && pathname.startsWith("/run/")) {
+      const endpoint = pathname.slice("/run".length);
+      const handler = handlers.get(endpoint);
+      if (!handler) {
+        sendJson(response, 404, { detail: "Not Found" });
+        return;
+      }
+      const { data: args } = JSON.parse((await readBody(request)).toString());
+      space.calls.push({ endpoint, args });
+      try {
+        sendJson(response, 200, { data: await handler(args, space), is_generating: false, duration: 0.01, average_duration: 0.01 });
+      } catch (error) {
+        sendJson(response, 500, { error: error.message });
+      }
+    } else if (request.method === "GET" && pathname.startsWith("/file=")) {
+      const name = decodeURIComponent(pathname.slice("/file=".length));
+      const file = files.get(name);
+      space.fileRequests.push({ name, authorization: request.headers.authorization || null });
+      if (!file) {
+        response.writeHead(404).end("Not Found");
+      } else if (file.status) {
+        response.writeHead(file.status).end();
+      } else if (file.token && request.headers.authorization !== `Bearer ${file.token}`) {
+        response.writeHead(401).end("Unauthorized");
+      } else {
+        response.writeHead(200, { "Content-Type": file.mimeType });
+        response.end(file.buffer);
+      }
+    } else {
+      response.writeHead(404).end("Not Found");
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  space.url = `http://127.0.0.1:${server.address().port}`;
+  return space;
+}
@@ -0,0 +1,90 @@
+import sharp from "sharp";
+import { buildMockGlb } from "../../src/mock.js";
+
+// Endpoints of the supported Spaces with the response shapes of their live versions
+// (e.g., Hunyuan3D-2 returns data[1].url, Hunyuan3D-2mini-Turbo returns data[1].value.url).
+// Parameters and outputs are listed in the Spaces' order.
+
+export const GLB = buildMockGlb();
+export const OBJ = Buffer.from("# fake mesh\nv 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n");
+
+export async function createTestImage(color = "#3366cc") {
+  return await sharp({ create: { width: 64, height: 64, channels: 3, background: color } }).png().toBuffer();
+}
+
+const image = async (space, name) => space.addFile(name, await createTestImage(), { mimeType: "image/png" });
+const glb = (space, name = "mesh.glb") => space.addFile(name, GLB, { mimeType: "model/gltf-binary" });
+const obj = (space, name = "mesh.obj") => space.addFile(name, OBJ, { mimeType: "model/obj" });
+const update = (value) => ({ __type__: "update", value });
+
+export const SPACES = {
+  instantmesh: {
+    "/check_input_image": { parameters: ["input_image"], returns: 0, handler: async () => [] },
+    "/preprocess": { parameters: ["input_image", "do_remove_background"], returns: 1, handler: async (args, space) => [await image(space, "processed.png")] },
+    "/generate_mvs": { parameters: ["input_image", "sample_steps", "sample_seed"], returns: 1, handler: async (args, space) => [await image(space, "mvs.png")] },
+    "/make3d": { parameters: [], returns: 2, handler: async (args, space) => [obj(space), glb(space)] }
+  },
+  hunyuan3d: {
+    "/shape_generation": {
+      parameters: ["caption", "image", "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg"],
+      returns: 3,
+      handler: async (args, space) => [glb(space, "white_mesh.glb"), "<div></div>", {}]
+    },
+    "/generation_all": {
+      parameters: ["caption", "image", "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg"],
+      returns: 4,
+      handler: async (args, space) => [glb(space, "white_mesh.glb"), glb(space, "textured_mesh.glb"), "<div></div>", {}]
+    }
+  },
+  hunyuan3d_mini_turbo: {
+    "/on_gen_mode_change": { parameters: ["value"], returns: 1, handler: async () => [update(5)] },
+    "/on_decode_mode_change": { parameters: ["value"], returns: 1, handler: async () => [update(8000)] },
+    "/on_export_click": {
+      parameters: ["file_out", "file_out2", "file_type", "reduce_face", "export_texture", "target_face_num"],
+      returns: 2,
+      handler: async (args, space) => ["<div></div>", update(glb(space, "export.glb"))]
+    },
+    "/generation_all": {
+      parameters: [
+        "caption", "image", "mv_image_front", "mv_image_back", "mv_image_left", "mv_image_right",
+        "steps", "guidance_scale", "seed", "octree_resolution", "check_box_rembg", "num_chunks", "randomize_seed"
+      ],
+      returns: 5,
+      handler: async (args, space) => [update(glb(space, "white_mesh.glb")), update(glb(space, "textured_mesh.glb")), "<div></div>", {}, 1234]
+    }
+  },
+  trellis: {
+    "/start_session": { parameters: [], returns: 0, handler: async () => [] },
+    "/preprocess_image": { parameters: ["image"], returns: 1, handler: async (args, space) => [await image(space, "preprocessed.png")] },
+    "/image_to_3d": {
+      parameters: [
+        "image", { name: "multiimages", default: [] }, { name: "is_multiimage", default: false }, { name: "seed", default: 0 },
+        { name: "ss_guidance_strength", default: 7.5 }, { name: "ss_sampling_steps", default: 12 },
+        { name: "slat_guidance_strength", default: 3 }, { name: "slat_sampling_steps", default: 12 },
+        { name: "multiimage_algo", default: "stochastic" }
+      ],
+      returns: 1,
+      handler: async (args, space) => [{ video: space.addFile("preview.mp4", Buffer.alloc(16), { mimeType: "video/mp4" }), subtitles: null }]
+    },
+    "/extract_glb": {
+      parameters: [{ name: "mesh_simplify", default: 0.95 }, { name: "texture_size", default: 1024 }],
+      returns: 2,
+      handler: async (args, space) => [glb(space, "sample.glb"), glb(space, "sample.glb")]
+    }
+  },
+  stable_fast_3d: {
+    "/requires_bg_remove": { parameters: ["image", "fr"], returns: 2, handler: async () => [update("Remove Background"), null] },
+    "/run_button": {
+      parameters: ["run_btn", "input_image", "foreground_ratio", "remesh_option", "vertex_count", "texture_size"],
+      returns: 5,
+      handler: async ([label], space) => label === "Run"
+        ? [update("Run"), null, null, update(null), update(glb(space))]
+        : [update("Run"), await image(space, "background_removed.png"), null, update(null), update(null)]
+    }
+  },
+  triposr: {
+    "/check_input_image": { parameters: ["input_image"], returns: 0, handler: async () => [] },
+    "/preprocess": { parameters: ["input_image", "do_remove_background", "foreground_ratio"], returns: 1, handler: async (args, space) => [await image(space, "processed.png")] },
+    "/generate": { parameters: ["image", "mc_resolution"], returns: 2, handler: async (args, space) => [obj(space), glb(space)] }
+  }
+};
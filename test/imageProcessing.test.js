@@ -0,0 +1,90 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { removeSolidBackground, makeSeamless, measureSeams, sliceTileset, decodeRgba } from "../src/imageProcessing.js";
+
+// Fixture image drawn pixel by pixel: color(x, y) => [r, g, b]
+const drawImage = async (width, height, color) => {
+  const data = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set(color(x, y), (y * width + x) * 3);
+    }
+  }
+  return await sharp(data, { raw: { width, height, channels: 3 } }).png().toBuffer();
+};
+
+// A 12px red square on white, with a white highlight pixel inside the square
+const sprite = () => drawImage(32, 32, (x, y) => {
+  if (x === 16 && y === 16) return [255, 255, 255];
+  return x >= 10 && x < 22 && y >= 10 && y < 22 ? [200, 30, 30] : [255, 255, 255];
+});
+
+// Dark on the left, light on the right: tiling it puts the two next to each other
+const gradient = () => drawImage(32, 32, (x) => [x * 8, x * 8, x * 8]);
+
+describe("2D image processing", () => {
+  describe("background removal", () => {
+    it("removes the white background around the object", async () => {
+      const { buffer, removedRatio } = await removeSolidBackground(await sprite(), { feather: 0 });
+      const { data } = await decodeRgba(buffer);
+      const pixel = (x, y) => [...data.subarray((y * 32 + x) * 4, (y * 32 + x) * 4 + 4)];
+
+      assert.equal(removedRatio, (32 * 32 - 12 * 12) / (32 * 32));
+      assert.deepEqual(pixel(0, 0), [0, 0, 0, 0]);
+      assert.deepEqual(pixel(12, 12), [200, 30, 30, 255]);
+      // The highlight is not connected to the border, so it stays opaque
+      assert.deepEqual(pixel(16, 16), [255, 255, 255, 255]);
+    });
+
+    it("feathers the edge of the object", async () => {
+      const { buffer } = await removeSolidBackground(await sprite(), { feather: 1 });
+      const { data } = await decodeRgba(buffer);
+      const alpha = (x, y) => data[(y * 32 + x) * 4 + 3];
+
+      assert.ok(alpha(10, 15) > 0 && alpha(10, 15) < 255, `edge alpha ${alpha(10, 15)}`);
+      assert.equal(alpha(15, 15), 255);
+      assert.equal(alpha(9, 15), 0);
+    });
+  });
+
+  describe("seamless textures", () => {
+    it("measures the seam of an image that does not tile", async () => {
+      const seams = await measureSeams(await gradient());
+
+      assert.equal(seams.seamless, false);
+      assert.ok(seams.horizontal > 10, `horizontal ratio ${seams.horizontal}`);
+      assert.equal(seams.vertical, 0);
+    });
+
+    it("blends the edges so the image tiles", async () => {
+      const seamless = await makeSeamless(await gradient());
+
+      assert.equal((await measureSeams(seamless)).seamless, true);
+      const { width, height } = await sharp(seamless).metadata();
+      assert.deepEqual([width, height], [32, 32]);
+    });
+  });
+
+  describe("tile slicing", () => {
+    it("cuts an image into whole tiles", async () => {
+      const tileset = await sliceTileset(await drawImage(100, 70, () => [40, 120, 40]), { tileSize: 32 });
+
+      assert.deepEqual([tileset.columns, tileset.rows, tileset.width, tileset.height], [3, 2, 96, 64]);
+      assert.equal(tileset.tiles.length, 6);
+      assert.deepEqual(tileset.tiles[4], { id: 4, row: 1, column: 1, x: 32, y: 32, w: 32, h: 32 });
+      const { width, height } = await sharp(tileset.buffer).metadata();
+      assert.deepEqual([width, height], [96, 64]);
+    });
+
+    it("resizes to the requested number of columns", async () => {
+      const tileset = await sliceTileset(await drawImage(100, 70, () => [40, 120, 40]), { tileSize: 32, columns: 4 });
+
+      assert.deepEqual([tileset.columns, tileset.rows], [4, 3]);
+    });
+
+    it("fails for an image smaller than one tile", async () => {
+      await assert.rejects(sliceTileset(await drawImage(16, 16, () => [0, 0, 0]), { tileSize: 32 }), /smaller than one 32px tile/);
+    });
+  });
+});
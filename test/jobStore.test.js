@@ -0,0 +1,53 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { promises as fs } from "fs";
+import { loadJobStore, createJob, recordJobArtifact, getExistingArtifacts, getJob } from "../src/jobStore.js";
+import { createWorkDir } from "./helpers/context.js";
+
+describe("job store", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await createWorkDir();
+    await loadJobStore(dir.workDir);
+  });
+
+  afterEach(async () => {
+    await dir.cleanup();
+  });
+
+  it("reuses an artifact only on a space of the type that produced it", async () => {
+    const job = await createJob("3D", "generate_3d_asset", { prompt: "a chair" });
+    const imagePath = path.join(dir.assetsDir, "image.png");
+    const processedPath = path.join(dir.assetsDir, "processed.png");
+    await fs.writeFile(imagePath, "image");
+    await fs.writeFile(processedPath, "processed");
+    await recordJobArtifact(job.id, "3d_image", imagePath);
+    await recordJobArtifact(job.id, "3d_processed", processedPath, "trellis");
+
+    // The space types are kept when the job is restored after a restart
+    await loadJobStore(dir.workDir);
+    const restored = getJob(job.id);
+
+    assert.deepEqual(await getExistingArtifacts(restored, { spaceType: "trellis" }), { "3d_image": imagePath, "3d_processed": processedPath });
+    assert.deepEqual(await getExistingArtifacts(restored, { spaceType: "triposr" }), { "3d_image": imagePath });
+  });
+
+  it("drops finished jobs older than the retention period", async () => {
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const record = (id, status, updatedAt) => JSON.stringify({ id, toolName: "generate_3d_asset", inputs: {}, status, details: {}, artifacts: {}, createdAt: updatedAt, updatedAt });
+    await fs.writeFile(path.join(dir.workDir, "jobs", "jobs.jsonl"), [
+      record("3D-1", "COMPLETED", daysAgo(10)),
+      record("3D-2", "PROCESSING", daysAgo(10)),
+      record("3D-3", "ERROR", daysAgo(1))
+    ].join("\n") + "\n");
+
+    await loadJobStore(dir.workDir, { retentionDays: 7 });
+
+    assert.equal(getJob("3D-1"), null);
+    assert.equal(getJob("3D-2").status, "PROCESSING");
+    assert.equal(getJob("3D-3").status, "ERROR");
+    assert.equal((await createJob("3D", "generate_3d_asset", {})).id, "3D-4");
+  });
+});
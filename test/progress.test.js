@@ -0,0 +1,56 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createProgressReporter } from "../src/progress.js";
+import {
+  createOperationSignal,
+  setOperationProgressReporter,
+  removeOperationProgressReporter,
+  reportOperationProgress,
+  cancelOperation,
+  releaseOperation
+} from "../src/operations.js";
+
+describe("progress notifications", () => {
+  it("sends progress through the request's sendNotification", async () => {
+    const sent = [];
+    const report = createProgressReporter(async (notification) => sent.push(notification), "token-1", null);
+
+    await report(25, "Processing");
+
+    assert.deepEqual(sent, [{
+      method: "notifications/progress",
+      params: { progressToken: "token-1", progress: 25, total: 100, message: "Processing" }
+    }]);
+  });
+
+  it("keeps progress increasing for updates that do not move it forward", async () => {
+    const sent = [];
+    const report = createProgressReporter(async (notification) => sent.push(notification), 7, null);
+
+    await report(20, "Initial image generated");
+    await report(null, "Waiting to retry");
+    await report(10, "Out of order");
+
+    assert.deepEqual(sent.map(({ params }) => params.progress), [20, 20.1, 20.2]);
+  });
+
+  it("is not created when the request has no progressToken", () => {
+    assert.equal(createProgressReporter(async () => {}, undefined, null), null);
+  });
+
+  it("stops reporting for an operation once its request has returned", async () => {
+    const sent = [];
+    const signal = createOperationSignal("test-progress");
+    setOperationProgressReporter("test-progress", createProgressReporter(async (notification) => sent.push(notification), "token-2", null));
+
+    await reportOperationProgress("test-progress", 20, "Initial image generated");
+    removeOperationProgressReporter("test-progress");
+    await reportOperationProgress("test-progress", 50, "Generating 3D model");
+
+    assert.equal(sent.length, 1);
+    // The operation can still be cancelled
+    assert.equal(cancelOperation("test-progress"), true);
+    assert.equal(signal.aborted, true);
+    releaseOperation("test-progress");
+  });
+});
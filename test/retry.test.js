@@ -0,0 +1,101 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import { process3dAsset } from "../src/workflows/index.js";
+import { connectFakeSpace, createWorkDir, workflowArguments } from "./helpers/context.js";
+import { GLB } from "./helpers/spaces.js";
+
+// ZeroGPU Spaces reject calls over the GPU quota with the time to wait before retrying
+const quotaError = (wait) => new Error(`You have exceeded your GPU quota (60s requested vs. 0s left). Please retry in ${wait}`);
+
+describe("retry on quota errors", () => {
+  let dir;
+  let space;
+
+  beforeEach(async () => {
+    dir = await createWorkDir();
+  });
+
+  afterEach(async () => {
+    await space?.close();
+    space = null;
+    await dir.cleanup();
+  });
+
+  const connect = async (spaceType) => {
+    const connection = await connectFakeSpace(spaceType);
+    space = connection.space;
+    return connection.client;
+  };
+
+  const callsTo = (endpoint) => space.calls.filter(call => call.endpoint === endpoint).length;
+
+  it("retries after the wait time given in the quota error", async () => {
+    const client = await connect("triposr");
+    let failures = 1;
+    space.setHandler("/generate", async (args, current) => {
+      if (failures-- > 0) throw quotaError("1 seconds");
+      return [current.addFile("mesh.obj", Buffer.from("v 0 0 0\n")), current.addFile("mesh.glb", GLB)];
+    });
+    const args = await workflowArguments({ spaceType: "triposr", client, ...dir });
+    global.operationUpdates[args.operationId] = [];
+
+    const started = Date.now();
+    const { glbResult } = await process3dAsset(args);
+
+    assert.equal(callsTo("/generate"), 2);
+    assert.ok(Date.now() - started >= 1000, "waited for the quota to reset");
+    assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    const [update] = global.operationUpdates[args.operationId];
+    assert.equal(update.status, "WAITING");
+    assert.equal(update.waitTime, 1);
+    delete global.operationUpdates[args.operationId];
+  });
+
+  it("reads wait times in h:mm:ss format", async () => {
+    const client = await connect("hunyuan3d");
+    let failures = 1;
+    space.setHandler("/generation_all", async (args, current) => {
+      if (failures-- > 0) throw quotaError("0:00:01");
+      return [current.addFile("white_mesh.glb", GLB), current.addFile("textured_mesh.glb", GLB), "<div></div>", {}];
+    });
+
+    const started = Date.now();
+    await process3dAsset(await workflowArguments({ spaceType: "hunyuan3d", client, ...dir }));
+
+    assert.equal(callsTo("/generation_all"), 2);
+    const elapsed = Date.now() - started;
+    assert.ok(elapsed >= 1000 && elapsed < 5000, `waited ${elapsed} ms instead of the 1 second in the error`);
+  });
+
+  it("gives up with the quota error once the retries are exhausted", async () => {
+    const client = await connect("triposr");
+    space.setHandler("/preprocess", async () => {
+      throw quotaError("1 seconds");
+    });
+
+    await assert.rejects(
+      process3dAsset(await workflowArguments({ spaceType: "triposr", client, ...dir })),
+      { message: /exceeded your GPU quota/ }
+    );
+    assert.equal(callsTo("/preprocess"), 4); // The first attempt and 3 retries
+    assert.equal(callsTo("/generate"), 0);
+  });
+
+  it("stops waiting when the operation is cancelled", async () => {
+    const client = await connect("triposr");
+    space.setHandler("/preprocess", async () => {
+      throw quotaError("30 seconds");
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("Operation cancelled")), 200);
+
+    const started = Date.now();
+    await assert.rejects(
+      process3dAsset(await workflowArguments({ spaceType: "triposr", client, ...dir, signal: controller.signal })),
+      /Operation cancelled/
+    );
+    assert.ok(Date.now() - started < 5000, "did not wait for the quota to reset");
+    assert.equal(callsTo("/preprocess"), 1);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { detectSpaceType } from "../src/spaceTypes.js";
+import { connectFakeSpace, createWorkDir } from "./helpers/context.js";
+
+describe("space type detection", () => {
+  let dir;
+  let space;
+
+  before(async () => {
+    delete process.env.MODEL_SPACE_TYPE;
+    dir = await createWorkDir();
+  });
+
+  afterEach(async () => {
+    delete process.env.MODEL_SPACE_TYPE;
+    await space?.close();
+    space = null;
+  });
+
+  after(async () => {
+    await dir.cleanup();
+  });
+
+  const detect = async (endpoints, modelSpace = "test/fake-space", options = {}) => {
+    const connection = await connectFakeSpace(endpoints);
+    space = connection.space;
+    return await detectSpaceType(connection.client, modelSpace, dir.workDir, options);
+  };
+
+  for (const spaceType of ["instantmesh", "hunyuan3d", "hunyuan3d_mini_turbo", "trellis", "stable_fast_3d", "triposr"]) {
+    it(`detects ${spaceType} from its endpoints`, async () => {
+      assert.equal(await detect(spaceType), spaceType);
+    });
+  }
+
+  it("does not take a space with a /generate endpoint for triposr", async () => {
+    const endpoint = { parameters: ["image"], returns: 1, handler: async () => [null] };
+    assert.equal(await detect({ "/generate": endpoint, "/image_to_3d": endpoint, "/extract_glb": endpoint }), "trellis");
+  });
+
+  it("fails for a space with only a /generate endpoint", async () => {
+    const endpoints = { "/generate": { parameters: ["image"], returns: 1, handler: async () => [null] } };
+    await assert.rejects(detect(endpoints, "someone/unrelated-space"), /Unable to determine space type/);
+  });
+
+  it("falls back to the space name when no endpoints match", async () => {
+    const endpoints = { "/predict": { parameters: ["image"], returns: 1, handler: async () => [null] } };
+    assert.equal(await detect(endpoints, "someone/TRELLIS-fork"), "trellis");
+  });
+
+  it("fails when neither the endpoints nor the name match", async () => {
+    const endpoints = { "/predict": { parameters: ["image"], returns: 1, handler: async () => [null] } };
+    await assert.rejects(detect(endpoints, "someone/unrelated-space"), /Unable to determine space type/);
+  });
+
+  it("uses MODEL_SPACE_TYPE over the detected type", async () => {
+    process.env.MODEL_SPACE_TYPE = "TripoSR";
+    assert.equal(await detect("instantmesh"), "triposr");
+  });
+
+  it("ignores MODEL_SPACE_TYPE when detecting on demand", async () => {
+    process.env.MODEL_SPACE_TYPE = "triposr";
+    assert.equal(await detect("instantmesh", "test/fake-space", { useEnvOverride: false }), "instantmesh");
+  });
+
+  it("ignores an unknown MODEL_SPACE_TYPE", async () => {
+    process.env.MODEL_SPACE_TYPE = "not-a-space";
+    assert.equal(await detect("hunyuan3d"), "hunyuan3d");
+  });
+});
@@ -0,0 +1,335 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import { process3dAsset } from "../src/workflows/index.js";
+import {
+  configureSpacePool,
+  registerSpace,
+  clearSpacePool,
+  selectSpace,
+  markSpaceFailure,
+  getSpacePoolStatus,
+  runOnSpacePool,
+  listSpaces,
+  removeSpace,
+  updateSpaceType,
+  reserveJobSlot,
+  listMultiViewSpaces
+} from "../src/spacePool.js";
+import { configureScheduler, scheduleTask } from "../src/scheduler.js";
+import { connectModelSpace, initializeClients } from "../src/clients.js";
+import { withAbortSignal } from "../src/utils.js";
+import { connectFakeSpace, createWorkDir, workflowArguments } from "./helpers/context.js";
+import { GLB } from "./helpers/spaces.js";
+
+const quotaError = (wait) => new Error(`You have exceeded your GPU quota (60s requested vs. 0s left). Please retry in ${wait}`);
+
+describe("space pool", () => {
+  let dir;
+  let fakes;
+
+  beforeEach(async () => {
+    clearSpacePool();
+    configureSpacePool({ routing: "least_busy", failoverWait: 60, failureCooldown: 300 });
+    dir = await createWorkDir();
+    fakes = [];
+  });
+
+  afterEach(async () => {
+    clearSpacePool();
+    await Promise.all(fakes.map(space => space.close()));
+    await dir.cleanup();
+  });
+
+  // Register a fake Space of the given type under a Space name
+  const addSpace = async (name, spaceType) => {
+    const { space, client } = await connectFakeSpace(spaceType);
+    fakes.push(space);
+    registerSpace({ name, spaceType, client });
+    return space;
+  };
+
+  const runJob = (options = {}) => runOnSpacePool(`test-${Date.now()}`, async (space, retry) => {
+    return await process3dAsset(await workflowArguments({
+      spaceType: space.spaceType,
+      client: space.client,
+      modelSpace: space.name,
+      retryWithBackoff: retry,
+      ...dir
+    }));
+  }, { workDir: dir.workDir, ...options });
+
+  it("skips a space until its GPU quota resets", async () => {
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "triposr", client: null });
+
+    const cooldown = await markSpaceFailure("test/first", quotaError("0:10:00"), dir.workDir);
+
+    assert.equal(cooldown, 600000);
+    assert.equal(selectSpace().name, "test/second");
+    const [first] = getSpacePoolStatus();
+    assert.equal(first.status, "cooling_down");
+    assert.equal(first.cooldownReason, "quota");
+  });
+
+  it("uses the space available again first when all are cooling down", async () => {
+    configureSpacePool({ routing: "ordered" });
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "triposr", client: null });
+
+    await markSpaceFailure("test/first", quotaError("2:00:00"), dir.workDir);
+    await markSpaceFailure("test/second", new Error("Space is sleeping"), dir.workDir);
+
+    assert.equal(selectSpace().name, "test/second");
+    assert.equal(getSpacePoolStatus()[1].cooldownReason, "error");
+  });
+
+  it("asks each space once whether it takes multi-view input", async () => {
+    const calls = [];
+    const apiClient = (name, parameters) => ({
+      view_api: async () => {
+        calls.push(name);
+        return { named_endpoints: { "/generation_all": { parameters: parameters.map(parameter_name => ({ parameter_name })) } } };
+      }
+    });
+    registerSpace({ name: "test/multiview", spaceType: "hunyuan3d_mini_turbo", client: apiClient("test/multiview", ["caption", "image", "mv_image_front", "mv_image_back", "mv_image_left", "mv_image_right"]) });
+    registerSpace({ name: "test/single-view", spaceType: "hunyuan3d_mini_turbo", client: apiClient("test/single-view", ["caption", "image"]) });
+    registerSpace({ name: "test/trellis", spaceType: "trellis", client: null });
+
+    assert.deepEqual(await listMultiViewSpaces(), ["test/multiview"]);
+    assert.deepEqual(await listMultiViewSpaces(), ["test/multiview"]);
+    assert.deepEqual(calls, ["test/multiview", "test/single-view"]);
+  });
+
+  it("only routes jobs to spaces that accept them", async () => {
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "trellis", client: null });
+
+    assert.equal(selectSpace({ accepts: space => space.spaceType === "trellis" }).name, "test/second");
+    assert.equal(selectSpace({ accepts: () => false }), null);
+  });
+
+  it("moves a job to the next space instead of waiting for the GPU quota", async () => {
+    const first = await addSpace("test/triposr", "triposr");
+    first.setHandler("/preprocess", async () => {
+      throw quotaError("2:00:00");
+    });
+    const second = await addSpace("test/instantmesh", "instantmesh");
+
+    const started = Date.now();
+    const { result, space } = await runJob();
+
+    assert.equal(space.name, "test/instantmesh");
+    assert.ok(Date.now() - started < 5000, "did not wait for the quota to reset");
+    assert.equal(first.calls.length, 1);
+    assert.ok(second.calls.some(({ endpoint }) => endpoint === "/make3d"));
+    assert.deepEqual(await fs.readFile(result.glbResult.filePath), GLB);
+    const [triposr, instantmesh] = getSpacePoolStatus();
+    assert.equal(triposr.status, "cooling_down");
+    assert.equal(triposr.failed, 1);
+    assert.equal(instantmesh.completed, 1);
+  });
+
+  it("fails instead of waiting when every space has failed", async () => {
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "triposr", client: null });
+    const attempts = [];
+
+    await assert.rejects(
+      runOnSpacePool("test-failing", async (space) => {
+        attempts.push(space.name);
+        throw new Error("Failed to fetch mesh: 503 Service Unavailable");
+      }, { workDir: dir.workDir }),
+      /503 Service Unavailable/
+    );
+    assert.deepEqual(attempts.sort(), ["test/first", "test/second"]);
+    assert.ok(getSpacePoolStatus().every(({ status }) => status === "cooling_down"));
+  });
+
+  it("does not cool a space down for an error caused by the job", async () => {
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "triposr", client: null });
+    const attempts = [];
+
+    await assert.rejects(
+      runOnSpacePool("test-bad-input", async (space) => {
+        attempts.push(space.name);
+        throw new Error("Image preprocessing failed");
+      }, { workDir: dir.workDir }),
+      /Image preprocessing failed/
+    );
+    assert.equal(attempts.length, 1);
+    assert.ok(getSpacePoolStatus().every(({ status, failed }) => status === "healthy" && failed === 0));
+  });
+
+  it("does not move a cancelled job", async () => {
+    registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+    registerSpace({ name: "test/second", spaceType: "triposr", client: null });
+    const controller = new AbortController();
+    const attempts = [];
+
+    await assert.rejects(
+      runOnSpacePool("test-cancelled", async (space) => {
+        attempts.push(space.name);
+        controller.abort(new Error("Operation cancelled"));
+        throw controller.signal.reason;
+      }, { signal: controller.signal, workDir: dir.workDir }),
+      /Operation cancelled/
+    );
+    assert.equal(attempts.length, 1);
+    assert.ok(getSpacePoolStatus().every(({ status }) => status === "healthy"));
+  });
+
+  it("keeps retrying on a single space", async () => {
+    const space = await addSpace("test/only", "triposr");
+    let failures = 1;
+    space.setHandler("/generate", async (args, current) => {
+      if (failures-- > 0) throw quotaError("1 seconds");
+      return [current.addFile("mesh.obj", Buffer.from("v 0 0 0\n")), current.addFile("mesh.glb", GLB)];
+    });
+
+    const { space: used } = await runJob();
+
+    assert.equal(used.name, "test/only");
+    assert.equal(space.calls.filter(({ endpoint }) => endpoint === "/generate").length, 2);
+    assert.equal(getSpacePoolStatus()[0].status, "healthy");
+  });
+
+  describe("concurrency", () => {
+    afterEach(() => {
+      configureScheduler({ concurrency: 1, maxQueueSize: 10 });
+    });
+
+    // Highest number of jobs running on the pool at once
+    const runConcurrently = async (jobs) => {
+      let running = 0;
+      let highest = 0;
+      await Promise.all(Array.from({ length: jobs }, (_, index) => runOnSpacePool(`test-concurrency-${index}`, async () => {
+        highest = Math.max(highest, ++running);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        running--;
+      }, { workDir: dir.workDir })));
+      return highest;
+    };
+
+    it("runs jobs on a space at the configured concurrency", async () => {
+      configureScheduler({ concurrency: 2 });
+      registerSpace({ name: "test/hunyuan", spaceType: "hunyuan3d", client: null });
+
+      assert.equal(await runConcurrently(3), 2);
+    });
+
+    it("runs one job at a time on spaces whose steps share session state", async () => {
+      configureScheduler({ concurrency: 2 });
+      registerSpace({ name: "test/instantmesh", spaceType: "instantmesh", client: null });
+
+      assert.equal(await runConcurrently(3), 1);
+    });
+
+    it("starts the next job only once the predictions of a cancelled job have settled", async () => {
+      let settledAt = 0;
+      const client = {
+        predict: () => new Promise(resolve => setTimeout(() => {
+          settledAt = Date.now();
+          resolve({ data: [] });
+        }, 200))
+      };
+      registerSpace({ name: "test/instantmesh", spaceType: "instantmesh", client });
+      const controller = new AbortController();
+
+      const cancelled = runOnSpacePool("test-cancelled", async (space) => {
+        setTimeout(() => controller.abort(new Error("Operation cancelled")), 20);
+        return await withAbortSignal(space.client.predict("/generate_mvs", []), controller.signal);
+      }, { signal: controller.signal, workDir: dir.workDir });
+      let startedAt = 0;
+      const next = runOnSpacePool("test-next", async () => {
+        startedAt = Date.now();
+      }, { workDir: dir.workDir });
+
+      await assert.rejects(cancelled, /Operation cancelled/);
+      assert.equal(startedAt, 0, "the next job waits while the cancelled prediction runs");
+      await next;
+      assert.ok(startedAt >= settledAt && settledAt > 0);
+    });
+
+    it("rejects jobs beyond the queue size", async () => {
+      configureScheduler({ maxQueueSize: 2 });
+      registerSpace({ name: "test/hunyuan", spaceType: "hunyuan3d", client: null });
+
+      // One job runs and two wait; the others are turned away when they are created
+      const accepted = Array.from({ length: 5 }, (_, index) => reserveJobSlot(`test-reserved-${index}`));
+      assert.deepEqual(accepted, [true, true, true, false, false]);
+
+      const results = await Promise.allSettled(Array.from({ length: 5 }, (_, index) =>
+        scheduleTask("test/hunyuan", `test-queued-${index}`, () => new Promise(resolve => setTimeout(resolve, 20)))));
+      assert.deepEqual(results.map(({ status }) => status), ["fulfilled", "fulfilled", "fulfilled", "rejected", "rejected"]);
+      assert.match(results[3].reason.message, /queue for test\/hunyuan is full/);
+    });
+  });
+
+  describe("switching spaces", () => {
+    it("puts a switched space ahead of the others", () => {
+      registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+      registerSpace({ name: "test/second", spaceType: "instantmesh", client: null });
+
+      registerSpace({ name: "test/switched", spaceType: "trellis", client: null }, { primary: true });
+      removeSpace("test/first");
+
+      assert.deepEqual(listSpaces().map(({ name }) => name), ["test/switched", "test/second"]);
+      configureSpacePool({ routing: "ordered" });
+      assert.equal(selectSpace().name, "test/switched");
+    });
+
+    it("resets the health of a space that is connected again", async () => {
+      registerSpace({ name: "test/first", spaceType: "triposr", client: null });
+      await markSpaceFailure("test/first", quotaError("2:00:00"), dir.workDir);
+
+      registerSpace({ name: "test/first", spaceType: "triposr", client: null }, { primary: true });
+
+      assert.equal(listSpaces().length, 1);
+      assert.equal(getSpacePoolStatus()[0].status, "healthy");
+    });
+
+    it("updates the type of a space detected again", () => {
+      registerSpace({ name: "test/first", spaceType: "instantmesh", client: null });
+
+      updateSpaceType("test/first", "hunyuan3d");
+
+      assert.equal(listSpaces()[0].spaceType, "hunyuan3d");
+    });
+
+    it("connects to a mock space of the requested type", async () => {
+      const config = { mockMode: true, mockLatency: 0, mockFailureRate: 0, mockFailFirst: 0, workDir: dir.workDir };
+
+      const detected = await connectModelSpace("test/Hunyuan3D-2", null, { ...config, modelSpaceType: "hunyuan3d" });
+      const requested = await connectModelSpace("test/TRELLIS", "trellis", config);
+
+      assert.deepEqual([detected.name, detected.spaceType], ["test/Hunyuan3D-2", "hunyuan3d"]);
+      assert.deepEqual([requested.name, requested.spaceType], ["test/TRELLIS", "trellis"]);
+      assert.ok(Object.keys((await requested.client.view_api()).named_endpoints).includes("/extract_glb"));
+    });
+
+    it("detects the type of a switched space instead of using MODEL_SPACE_TYPE", async () => {
+      const config = { mockMode: true, mockLatency: 0, mockFailureRate: 0, mockFailFirst: 0, workDir: dir.workDir, modelSpaceType: "hunyuan3d" };
+
+      const connected = await connectModelSpace("test/TRELLIS", null, config, { useModelSpaceType: false });
+
+      assert.equal(connected.spaceType, "trellis");
+    });
+
+    it("applies MODEL_SPACE_TYPE to MODEL_SPACE only", async () => {
+      const { modelSpaces } = await initializeClients({
+        mockMode: true, mockLatency: 0, mockFailureRate: 0, mockFailFirst: 0, workDir: dir.workDir,
+        modelSpace: "test/primary",
+        modelSpaceType: "hunyuan3d",
+        modelSpaces: [
+          { name: "test/primary", spaceType: null },
+          { name: "test/TRELLIS", spaceType: null },
+          { name: "test/other", spaceType: "triposr" }
+        ]
+      });
+
+      assert.deepEqual(modelSpaces.map(({ spaceType }) => spaceType), ["hunyuan3d", "trellis", "triposr"]);
+    });
+  });
+});
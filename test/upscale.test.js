@@ -0,0 +1,57 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { upscaleImage, checkUpscaleSize, checkUpscaleDimensions } from "../src/upscale.js";
+import { createWorkDir } from "./helpers/context.js";
+import { createTestImage } from "./helpers/spaces.js";
+
+describe("upscaling", () => {
+  let dir;
+
+  before(async () => {
+    dir = await createWorkDir();
+  });
+
+  after(async () => {
+    await dir.cleanup();
+  });
+
+  // The mock upscaler space of MOCK_MODE; each test uses its own space so clients are not shared
+  const spaceConfig = (upscaleSpace, mockLatency = 0) => ({
+    mockMode: true,
+    mockLatency,
+    mockFailureRate: 0,
+    mockFailFirst: 0,
+    upscaleSpace,
+    upscaleSpaceEndpoint: "/predict",
+    workDir: dir.workDir
+  });
+
+  it("upscales with the space to exactly the requested size", async () => {
+    const upscaled = await upscaleImage(await createTestImage(), { scale: 3, method: "space" }, spaceConfig("test/upscaler"));
+
+    const { width, height } = await sharp(upscaled).metadata();
+    assert.deepEqual([width, height], [192, 192]);
+  });
+
+  it("rejects outputs larger than 4096x4096", async () => {
+    const large = await sharp({ create: { width: 1024, height: 600, channels: 3, background: "#ffffff" } }).png().toBuffer();
+
+    assert.equal(await checkUpscaleSize(large, 4), null);
+    assert.match(await checkUpscaleSize(large, 8), /8192x4800 pixels, more than the limit of 4096x4096/);
+    assert.match(checkUpscaleDimensions(1024, 1024, 8), /8192x8192 pixels/);
+    await assert.rejects(upscaleImage(large, { scale: 8, method: "lanczos" }, {}), /more than the limit/);
+  });
+
+  it("stops the space upscaler when the request is cancelled", async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error("Request cancelled")), 100);
+
+    const started = Date.now();
+    await assert.rejects(
+      upscaleImage(await createTestImage(), { scale: 2, method: "space" }, spaceConfig("test/slow-upscaler", 2000), null, controller.signal),
+      /Request cancelled/
+    );
+    assert.ok(Date.now() - started < 1500, "did not wait for the upscaler");
+  });
+});
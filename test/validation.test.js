@@ -0,0 +1,16 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { validateMultipleOf } from "../src/validation.js";
+
+describe("config validation", () => {
+  it("keeps values that are multiples of the step", () => {
+    assert.equal(validateMultipleOf(512, 8, "MODEL_2D_WIDTH"), 512);
+    assert.equal(validateMultipleOf(null, 8, "MODEL_2D_WIDTH"), null);
+  });
+
+  it("rounds other values down to a multiple of the step", () => {
+    assert.equal(validateMultipleOf(1000, 8, "MODEL_2D_WIDTH"), 1000);
+    assert.equal(validateMultipleOf(1001, 8, "MODEL_2D_WIDTH"), 1000);
+    assert.equal(validateMultipleOf(71, 8, "MODEL_2D_HEIGHT"), 64);
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fs } from "fs";
+import { process3dAsset } from "../src/workflows/index.js";
+import { connectFakeSpace, createWorkDir, workflowArguments } from "./helpers/context.js";
+import { GLB, OBJ } from "./helpers/spaces.js";
+
+describe("3D workflows", () => {
+  let dir;
+  let space;
+
+  beforeEach(async () => {
+    dir = await createWorkDir();
+  });
+
+  afterEach(async () => {
+    await space?.close();
+    space = null;
+    await dir.cleanup();
+  });
+
+  const run = async (spaceType, overrides = {}, prepare = () => {}) => {
+    const connection = await connectFakeSpace(spaceType);
+    space = connection.space;
+    prepare(space);
+    return await process3dAsset(await workflowArguments({ spaceType, client: connection.client, ...dir, ...overrides }));
+  };
+
+  const endpointsCalled = () => space.calls.map(({ endpoint }) => endpoint);
+
+  describe("happy paths", () => {
+    it("instantmesh saves the OBJ and GLB from /make3d", async () => {
+      const { objResult, glbResult } = await run("instantmesh", { config: { model3dSteps: 40, model3dSeed: 7, model3dRemoveBackground: true } });
+
+      assert.deepEqual(endpointsCalled(), ["/check_input_image", "/preprocess", "/generate_mvs", "/make3d"]);
+      assert.deepEqual(space.calls[2].args.slice(1), [40, 7]);
+      assert.deepEqual(await fs.readFile(objResult.filePath), OBJ);
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+      assert.match(glbResult.resourceUri, /^asset:\/\/3d_model_generate_3d_asset_.*\.glb$/);
+    });
+
+    it("hunyuan3d downloads the textured mesh from data[1].url", async () => {
+      const { glbResult } = await run("hunyuan3d", { config: { model3dOctreeResolution: "384" } });
+
+      assert.deepEqual(endpointsCalled(), ["/generation_all"]);
+      assert.equal(space.calls[0].args[0], "a wooden treasure chest");
+      assert.equal(space.calls[0].args[5], "384");
+      assert.equal(space.fileRequests.at(-1).name, "textured_mesh.glb");
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("hunyuan3d_mini_turbo downloads the textured mesh from data[1].value.url", async () => {
+      const { glbResult } = await run("hunyuan3d_mini_turbo", { config: { model3dTurboMode: "Fast" } });
+
+      assert.deepEqual(endpointsCalled(), ["/on_gen_mode_change", "/generation_all"]);
+      assert.deepEqual(space.calls[0].args, ["Fast"]);
+      assert.equal(space.calls[1].args[6], 10); // Default steps of the Fast mode
+      assert.equal(space.fileRequests.at(-1).name, "textured_mesh.glb");
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("trellis passes the generation parameters by name and saves the extracted GLB", async () => {
+      const { objResult, glbResult } = await run("trellis", { config: { model3dSeed: 99, model3dSsSamplingSteps: 20, model3dTextureSize: 2000 } });
+
+      assert.deepEqual(endpointsCalled(), ["/start_session", "/preprocess_image", "/image_to_3d", "/extract_glb"]);
+      const [, multiimages, isMultiimage, seed, , ssSamplingSteps, , , multiimageAlgo] = space.calls[2].args;
+      assert.deepEqual([multiimages, isMultiimage, seed, ssSamplingSteps], [[], false, 99, 20]);
+      assert.equal(multiimageAlgo, "stochastic"); // Parameters the workflow does not know keep their defaults
+      assert.deepEqual(space.calls[3].args, [0.95, 2048]);
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+      assert.equal(objResult, glbResult);
+    });
+
+    it("stable_fast_3d removes the background before building the mesh", async () => {
+      const { glbResult } = await run("stable_fast_3d", { config: { model3dRemesh: "Quad", model3dVertexCount: 5000 } });
+
+      assert.deepEqual(endpointsCalled(), ["/requires_bg_remove", "/run_button", "/run_button"]);
+      assert.equal(space.calls[1].args[0], "Remove Background");
+      assert.deepEqual(space.calls[2].args.slice(2), [0.85, "Quad", 5000, 1024]);
+      assert.equal(space.calls[2].args[0], "Run");
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("stable_fast_3d skips background removal for images that are ready", async () => {
+      await run("stable_fast_3d", {}, (fake) => fake.setHandler("/requires_bg_remove", async () => [{ __type__: "update", value: "Run" }, null]));
+
+      assert.deepEqual(endpointsCalled(), ["/requires_bg_remove", "/run_button"]);
+    });
+
+    it("triposr saves the OBJ and GLB from /generate", async () => {
+      const { objResult, glbResult } = await run("triposr", { config: { model3dMcResolution: 1000, model3dRemoveBackground: false } });
+
+      assert.deepEqual(endpointsCalled(), ["/preprocess", "/generate"]);
+      assert.deepEqual(space.calls[0].args.slice(1), [false, 0.85]);
+      assert.equal(space.calls[1].args[1], 320); // Clamped to the maximum resolution
+      assert.deepEqual(await fs.readFile(objResult.filePath), OBJ);
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("uploads the input image instead of sending it inline", async () => {
+      await run("triposr");
+
+      assert.equal(space.uploads, 2);
+      assert.match(space.calls[0].args[0].path, /^\/tmp\/gradio\/upload_\d+\.png$/);
+    });
+  });
+
+  describe("malformed responses", () => {
+    it("hunyuan3d falls back to the white mesh when the textured mesh is missing", async () => {
+      const { glbResult } = await run("hunyuan3d", {}, (fake) => fake.setHandler("/generation_all", async (args, current) => [
+        current.addFile("white_mesh.glb", GLB), null, "<div></div>", {}
+      ]));
+
+      assert.equal(space.fileRequests.at(-1).name, "white_mesh.glb");
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("hunyuan3d fails when the response has no mesh", async () => {
+      await assert.rejects(
+        run("hunyuan3d", {}, (fake) => fake.setHandler("/generation_all", async () => [null, null, "<div></div>", {}])),
+        /No valid mesh found in response/
+      );
+    });
+
+    it("hunyuan3d_mini_turbo fails when the meshes are not wrapped in updates", async () => {
+      // The response shape of Hunyuan3D-2 instead of data[index].value.url
+      await assert.rejects(
+        run("hunyuan3d_mini_turbo", {}, (fake) => fake.setHandler("/generation_all", async (args, current) => [
+          current.addFile("white_mesh.glb", GLB), current.addFile("textured_mesh.glb", GLB), "<div></div>", {}, 1
+        ])),
+        /No valid mesh found in response/
+      );
+    });
+
+    it("trellis fails when /extract_glb returns no file", async () => {
+      await assert.rejects(
+        run("trellis", {}, (fake) => fake.setHandler("/extract_glb", async () => [null, null])),
+        /GLB extraction failed: no model file in response/
+      );
+    });
+
+    it("trellis uses the viewer output when the download output is missing", async () => {
+      const { glbResult } = await run("trellis", {}, (fake) => fake.setHandler("/extract_glb", async (args, current) => [
+        current.addFile("viewer.glb", GLB), null
+      ]));
+
+      assert.equal(space.fileRequests.at(-1).name, "viewer.glb");
+      assert.deepEqual(await fs.readFile(glbResult.filePath), GLB);
+    });
+
+    it("stable_fast_3d fails when no output is a GLB", async () => {
+      await assert.rejects(
+        run("stable_fast_3d", {}, (fake) => fake.setHandler("/run_button", async (args, current) => [
+          { __type__: "update", value: "Run" }, null, null, null, { __type__: "update", value: current.addFile("mesh.obj", OBJ) }
+        ])),
+        /no GLB in response/
+      );
+    });
+
+    it("instantmesh fails when /make3d returns no files", async () => {
+      await assert.rejects(
+        run("instantmesh", {}, (fake) => fake.setHandler("/make3d", async () => [null, null])),
+        /No data provided to save/
+      );
+    });
+  });
+});